@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('auth');
+
+// admin implies every other scope
+const SCOPES = ['read-status', 'trigger-update', 'test-video', 'admin'];
+
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.API_SIGNATURE_TOLERANCE_SECONDS || '300', 10);
+const REQUIRE_SIGNATURES = process.env.API_REQUIRE_SIGNATURES === 'true';
+
+let keys = null;
+// key name -> { count, lastReason, lastPath, lastAt }; unrecognised keys all
+// count under "unknown" so guessing can't grow the map
+const failures = new Map();
+// signature -> expiry (ms) of every signed request seen inside the tolerance window
+const seenSignatures = new Map();
+
+function hash(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Both sides are hashed first so the comparison never leaks the key length
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// Identifies an unknown key in the logs without writing the key itself
+function fingerprint(value) {
+  return hash(value).toString('hex').slice(0, 8);
+}
+
+function readConfiguredKeys() {
+  if (!process.env.API_KEYS) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(process.env.API_KEYS);
+  } catch (error) {
+    throw new Error(`API_KEYS is not valid JSON: ${error.message}`);
+  }
+
+  // Either {"<name>": {"key", "scopes"}} or [{"name", "key", "scopes"}]
+  const list = Array.isArray(parsed)
+    ? parsed
+    : Object.entries(parsed).map(([name, entry]) => ({ name, ...entry }));
+
+  return list.map((entry, index) => {
+    const where = `API_KEYS[${entry && entry.name ? entry.name : index}]`;
+
+    if (!entry || !entry.name || !entry.key) {
+      throw new Error(`${where} needs name and key`);
+    }
+    if (String(entry.key).length < 16) {
+      throw new Error(`${where} key must be at least 16 characters`);
+    }
+    if (!Array.isArray(entry.scopes) || entry.scopes.length === 0) {
+      throw new Error(`${where} needs a non-empty scopes array`);
+    }
+    const unknown = entry.scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`${where} has unknown scopes: ${unknown.join(', ')} (use ${SCOPES.join(', ')})`);
+    }
+
+    return {
+      name: String(entry.name),
+      key: String(entry.key),
+      scopes: entry.scopes,
+      requireSignature: REQUIRE_SIGNATURES || entry.requireSignature === true
+    };
+  });
+}
+
+// SECRET_KEY keeps working as an admin key named "legacy"
+function loadApiKeys() {
+  const list = readConfiguredKeys();
+
+  const names = new Set();
+  list.forEach(entry => {
+    if (names.has(entry.name)) {
+      throw new Error(`API_KEYS has two keys named "${entry.name}"`);
+    }
+    names.add(entry.name);
+  });
+
+  if (process.env.SECRET_KEY && !names.has('legacy')) {
+    list.push({
+      name: 'legacy',
+      key: process.env.SECRET_KEY,
+      scopes: ['admin'],
+      requireSignature: REQUIRE_SIGNATURES
+    });
+  }
+
+  keys = list;
+  return getApiKeys();
+}
+
+function getKeys() {
+  if (!keys) loadApiKeys();
+  return keys;
+}
+
+// Every key is compared, so the response time doesn't depend on which one matched
+function findByKey(value) {
+  let match = null;
+  getKeys().forEach(entry => {
+    if (safeEqual(entry.key, value) && !match) match = entry;
+  });
+  return match;
+}
+
+function findByName(name) {
+  return getKeys().find(entry => entry.name === name) || null;
+}
+
+function hasScope(entry, scope) {
+  return entry.scopes.includes('admin') || entry.scopes.includes(scope);
+}
+
+function recordFailure(name, reason, req) {
+  const entry = failures.get(name) || { count: 0 };
+  entry.count += 1;
+  entry.lastReason = reason;
+  entry.lastPath = `${req.method} ${req.path}`;
+  entry.lastAt = new Date().toISOString();
+  failures.set(name, entry);
+
+  log.warn('Auth failure', { keyName: name, reason, method: req.method, path: req.path, failures: entry.count });
+}
+
+function signaturePayload(timestamp, req) {
+  const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+  return `${timestamp}.${req.method}.${req.originalUrl}.${body}`;
+}
+
+function pruneSignatures() {
+  const now = Date.now();
+  seenSignatures.forEach((expiry, signature) => {
+    if (expiry <= now) seenSignatures.delete(signature);
+  });
+}
+
+// Resolves a request to { entry } or { name, reason }. Signed requests carry the
+// key name, a unix timestamp and an HMAC of the request made with the key, so
+// the key itself never travels and a captured request can't be replayed.
+function authenticate(req) {
+  const signature = req.headers['x-signature'];
+
+  if (signature) {
+    const name = req.headers['x-api-key-id'];
+    const timestamp = req.headers['x-timestamp'];
+    const entry = name ? findByName(name) : null;
+
+    if (!entry) {
+      return { name: 'unknown', reason: `signed request for unknown key "${String(name || '').slice(0, 40)}"` };
+    }
+
+    const age = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+    if (!timestamp || !Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECONDS) {
+      return { name: entry.name, reason: 'timestamp missing or outside the allowed window' };
+    }
+
+    const expected = crypto.createHmac('sha256', entry.key).update(signaturePayload(timestamp, req)).digest('hex');
+    if (!safeEqual(expected, String(signature).toLowerCase())) {
+      return { name: entry.name, reason: 'bad signature' };
+    }
+
+    pruneSignatures();
+    if (seenSignatures.has(expected)) {
+      return { name: entry.name, reason: 'replayed request' };
+    }
+    seenSignatures.set(expected, Date.now() + SIGNATURE_TOLERANCE_SECONDS * 2 * 1000);
+
+    return { entry };
+  }
+
+  // Bearer is for clients that can't set custom headers (e.g. Prometheus);
+  // x-secret-key is still accepted from callers set up before API_KEYS existed
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  const provided = req.headers['x-api-key'] || (bearer && bearer[1]) || req.headers['x-secret-key'];
+  if (!provided) {
+    return { name: 'anonymous', reason: 'no API key' };
+  }
+
+  const entry = findByKey(provided);
+  if (!entry) {
+    return { name: 'unknown', reason: `unknown API key ${fingerprint(provided)}` };
+  }
+  if (entry.requireSignature) {
+    return { name: entry.name, reason: 'key only accepts signed requests' };
+  }
+
+  return { entry };
+}
+
+// Express middleware: 401 when the caller can't be identified, 403 when the
+// key lacks the scope. Sets req.apiKey to the key name.
+function requireScope(scope) {
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Unknown API scope: ${scope}`);
+  }
+
+  return (req, res, next) => {
+    const result = authenticate(req);
+
+    if (!result.entry) {
+      recordFailure(result.name, result.reason, req);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!hasScope(result.entry, scope)) {
+      recordFailure(result.entry.name, `missing scope ${scope}`, req);
+      return res.status(403).json({ error: 'Forbidden', requiredScope: scope });
+    }
+
+    req.apiKey = result.entry.name;
+    next();
+  };
+}
+
+// For express.json({ verify }): keeps the exact bytes that were signed
+function captureRawBody(req, res, buffer) {
+  req.rawBody = buffer;
+}
+
+// Key names and scopes only, never the keys
+function getApiKeys() {
+  return getKeys().map(entry => ({
+    name: entry.name,
+    scopes: entry.scopes,
+    requireSignature: entry.requireSignature
+  }));
+}
+
+function getAuthFailures() {
+  return Object.fromEntries(failures);
+}
+
+module.exports = {
+  loadApiKeys,
+  getApiKeys,
+  getAuthFailures,
+  requireScope,
+  captureRawBody,
+  SCOPES
+};
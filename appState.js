@@ -0,0 +1,42 @@
+const storage = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('appState');
+
+// Small key/value store for state that has to survive restarts.
+// Values are stored as JSON text.
+const STATE_TABLE = 'app_state';
+
+async function getState(key, fallback = null) {
+  try {
+    const rows = await storage.select(STATE_TABLE, {
+      columns: ['value'],
+      where: [{ column: 'key', op: 'eq', value: key }],
+      limit: 1
+    });
+    return rows.length > 0 && rows[0].value !== null ? JSON.parse(rows[0].value) : fallback;
+  } catch (error) {
+    log.error('Error reading state', { key, error: error.message });
+    return fallback;
+  }
+}
+
+async function setState(key, value) {
+  const fields = { value: JSON.stringify(value), updated_at: new Date().toISOString() };
+  const where = [{ column: 'key', op: 'eq', value: key }];
+
+  try {
+    const existing = await storage.count(STATE_TABLE, where);
+    if (existing > 0) {
+      await storage.update(STATE_TABLE, where, fields);
+    } else {
+      await storage.insert(STATE_TABLE, { key, ...fields });
+    }
+    return true;
+  } catch (error) {
+    log.error('Error saving state', { key, error: error.message });
+    return false;
+  }
+}
+
+module.exports = { getState, setState };
@@ -0,0 +1,369 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+const { createLogger } = require('./logger');
+
+const log = createLogger('graph');
+
+// Replaced at runtime when a long-lived token is exchanged (see tokenManager.js)
+let accessToken = process.env.FACEBOOK_ACCESS_TOKEN;
+const GRAPH_VERSION = 'v18.0';
+const GRAPH_URL = `https://graph.facebook.com/${GRAPH_VERSION}`;
+
+// Graph batch requests accept at most 50 sub-requests
+const MAX_BATCH_SIZE = 50;
+
+function readBatchSize() {
+  const raw = process.env.GRAPH_BATCH_SIZE;
+  if (raw === undefined || raw === '') return MAX_BATCH_SIZE;
+
+  const size = Number(raw);
+  if (!Number.isInteger(size) || size < 1) {
+    log.warn('GRAPH_BATCH_SIZE must be a whole number of 1 or more, using the default', { value: raw, default: MAX_BATCH_SIZE });
+    return MAX_BATCH_SIZE;
+  }
+  if (size > MAX_BATCH_SIZE) {
+    log.warn('GRAPH_BATCH_SIZE is above the Graph limit, capping it', { value: raw, max: MAX_BATCH_SIZE });
+    return MAX_BATCH_SIZE;
+  }
+  return size;
+}
+
+const BATCH_SIZE = readBatchSize();
+
+const MAX_RETRIES = parseInt(process.env.GRAPH_MAX_RETRIES || '3', 10);
+const RETRY_BASE_MS = parseInt(process.env.GRAPH_RETRY_BASE_MS || '1000', 10);
+
+// Usage percentages come from the X-App-Usage / X-Business-Use-Case-Usage headers
+const USAGE_SLOWDOWN_PERCENT = parseFloat(process.env.USAGE_SLOWDOWN_PERCENT || '75');
+const USAGE_PAUSE_PERCENT = parseFloat(process.env.USAGE_PAUSE_PERCENT || '95');
+const SLOWDOWN_MAX_DELAY_MS = parseInt(process.env.USAGE_SLOWDOWN_MAX_DELAY_MS || '5000', 10);
+const MAX_PAUSE_MINUTES = parseFloat(process.env.USAGE_MAX_PAUSE_MINUTES || '5');
+
+const TRANSIENT_ERRORS = ['rate_limit', 'network_error', 'server_error', 'budget_exhausted'];
+
+// Extra Graph fields a table can map to its own columns (assetColumns in
+// tableConfig.js). source, the playable file, is always requested; Graph has
+// no other video renditions. format holds the poster image in each size,
+// keyed by its filter (native, 720x720...).
+const ASSET_FIELDS = {
+  thumbnail: 'thumbnails{uri,is_preferred}',
+  picture: 'picture',
+  length: 'length',
+  posterFormats: 'format{filter,picture}'
+};
+const ASSET_KINDS = Object.keys(ASSET_FIELDS);
+
+// Emits 'call' for every real HTTP request made to the Graph API, with its
+// kind ('video' or 'token'), and 'batchItemError' for each failed sub-request
+// inside a successful batch call
+const graphEvents = new EventEmitter();
+
+let usage = { percent: 0, peakPercent: 0, regainMinutes: 0, exhausted: false, updatedAt: null };
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoffDelay(attempt) {
+  const exponential = RETRY_BASE_MS * Math.pow(2, attempt);
+  return exponential + Math.floor(Math.random() * RETRY_BASE_MS);
+}
+
+function parseHeaderJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function readUsageHeaders(headers) {
+  if (!headers) return;
+
+  const appUsage = parseHeaderJson(headers['x-app-usage']);
+  const businessUsage = parseHeaderJson(headers['x-business-use-case-usage']);
+  if (!appUsage && !businessUsage) return;
+
+  let percent = 0;
+  let regainMinutes = 0;
+
+  if (appUsage) {
+    percent = Math.max(appUsage.call_count || 0, appUsage.total_time || 0, appUsage.total_cputime || 0);
+  }
+
+  if (businessUsage) {
+    Object.values(businessUsage).forEach(entries => {
+      (Array.isArray(entries) ? entries : []).forEach(entry => {
+        percent = Math.max(percent, entry.call_count || 0, entry.total_time || 0, entry.total_cputime || 0);
+        regainMinutes = Math.max(regainMinutes, entry.estimated_time_to_regain_access || 0);
+      });
+    });
+  }
+
+  usage.percent = percent;
+  usage.peakPercent = Math.max(usage.peakPercent, percent);
+  usage.regainMinutes = regainMinutes;
+  usage.updatedAt = new Date().toISOString();
+}
+
+// Slows down as usage climbs and pauses near the cap. Returns false when the
+// remaining budget is gone for longer than we are willing to wait.
+async function waitForCapacity() {
+  if (usage.exhausted) return false;
+
+  if (usage.percent >= USAGE_PAUSE_PERCENT) {
+    const pauseMinutes = usage.regainMinutes || MAX_PAUSE_MINUTES;
+    if (pauseMinutes > MAX_PAUSE_MINUTES) {
+      log.warn('Graph API usage near the cap, stopping for this run', { usagePercent: usage.percent, regainMinutes: pauseMinutes });
+      usage.exhausted = true;
+      return false;
+    }
+
+    log.warn('Graph API usage near the cap, pausing', { usagePercent: usage.percent, pauseMinutes });
+    await sleep(pauseMinutes * 60 * 1000);
+    // The next response will tell us where we really are
+    usage.percent = 0;
+    return true;
+  }
+
+  if (usage.percent >= USAGE_SLOWDOWN_PERCENT) {
+    const ratio = (usage.percent - USAGE_SLOWDOWN_PERCENT) / (USAGE_PAUSE_PERCENT - USAGE_SLOWDOWN_PERCENT);
+    await sleep(Math.round(SLOWDOWN_MAX_DELAY_MS * Math.min(ratio, 1)));
+  }
+
+  return true;
+}
+
+function classifyGraphError(graphError) {
+  const code = graphError.code;
+  const message = graphError.message || '';
+
+  if (code === 100 || message.toLowerCase().includes('does not exist')) {
+    return { success: false, error: 'not_found', message: 'Video not found' };
+  }
+
+  if (code === 200 || code === 10 || message.toLowerCase().includes('permission')) {
+    return { success: false, error: 'permission_denied', message: 'No permission' };
+  }
+
+  if ([4, 17, 32, 613].includes(code) || message.toLowerCase().includes('rate limit')) {
+    return { success: false, error: 'rate_limit', message: 'Rate limit reached' };
+  }
+
+  if (code === 1 || code === 2 || graphError.is_transient) {
+    return { success: false, error: 'server_error', message: `Temporary API error: ${message}` };
+  }
+
+  return { success: false, error: 'api_error', message: `API error: ${message}` };
+}
+
+function classifyRequestError(error) {
+  if (error.response?.data?.error) {
+    return classifyGraphError(error.response.data.error);
+  }
+  if (error.response && error.response.status >= 500) {
+    return { success: false, error: 'server_error', message: `HTTP ${error.response.status}` };
+  }
+  return { success: false, error: 'network_error', message: error.message };
+}
+
+function isTransient(result) {
+  return !result.success && TRANSIENT_ERRORS.includes(result.error);
+}
+
+// One HTTP call with usage tracking. Resolves to the axios response or throws.
+// kind is 'token' for token inspection and exchange, which don't count
+// against a run's video budget.
+async function graphRequest(config, kind = 'video') {
+  try {
+    const response = await axios({ timeout: 10000, ...config });
+    readUsageHeaders(response.headers);
+    graphEvents.emit('call', { ok: true, kind });
+    return response;
+  } catch (error) {
+    readUsageHeaders(error.response && error.response.headers);
+    graphEvents.emit('call', { ok: false, kind, errorCode: error.response?.data?.error?.code || null });
+    throw error;
+  }
+}
+
+function graphFields(assets = []) {
+  return ['source', ...assets.filter(kind => ASSET_FIELDS[kind]).map(kind => ASSET_FIELDS[kind])].join(',');
+}
+
+function parseAssets(body) {
+  const assets = {};
+
+  const thumbnails = body.thumbnails && Array.isArray(body.thumbnails.data) ? body.thumbnails.data : [];
+  const preferred = thumbnails.find(thumbnail => thumbnail.is_preferred) || thumbnails[0];
+  if (preferred && preferred.uri) assets.thumbnail = preferred.uri;
+
+  if (body.picture) assets.picture = body.picture;
+  if (typeof body.length === 'number') assets.length = body.length;
+
+  if (Array.isArray(body.format)) {
+    assets.posterFormats = {};
+    body.format.forEach(format => {
+      if (format.filter && format.picture) assets.posterFormats[format.filter] = format.picture;
+    });
+  }
+
+  return assets;
+}
+
+function parseVideo(body) {
+  if (body && body.source) {
+    return { success: true, url: body.source, assets: parseAssets(body) };
+  }
+  return { success: false, error: 'no_source', message: 'No source URL found' };
+}
+
+function getAccessToken() {
+  return accessToken;
+}
+
+function setAccessToken(token) {
+  accessToken = token;
+}
+
+// options.token overrides the default token, e.g. a page token from the pool.
+// options.assets lists the ASSET_KINDS to fetch along with the source.
+async function getFacebookVideoUrl(videoId, options = {}) {
+  const exhausted = { success: false, error: 'budget_exhausted', message: 'API budget exhausted' };
+  let result = null;
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    if (attempt > 0) await sleep(backoffDelay(attempt - 1));
+    if (!(await waitForCapacity())) return exhausted;
+
+    try {
+      const response = await graphRequest({
+        method: 'get',
+        url: `${GRAPH_URL}/${videoId}`,
+        params: { fields: graphFields(options.assets), access_token: options.token || accessToken }
+      });
+
+      return parseVideo(response.data);
+    } catch (error) {
+      result = classifyRequestError(error);
+      if (!isTransient(result)) return result;
+      log.warn('Graph request failed', { videoId, reason: result.error, attempt: attempt + 1, maxAttempts: MAX_RETRIES + 1 });
+    }
+  }
+
+  return result;
+}
+
+function parseBatchItem(item) {
+  // Graph returns null for sub-requests it could not complete in time
+  if (!item) {
+    return { success: false, error: 'network_error', message: 'Batch item timed out' };
+  }
+
+  let body = null;
+  try {
+    body = item.body ? JSON.parse(item.body) : null;
+  } catch (error) {
+    return { success: false, error: 'api_error', message: 'Unreadable batch response' };
+  }
+
+  if (body && body.error) {
+    graphEvents.emit('batchItemError', { errorCode: body.error.code || null });
+    return classifyGraphError(body.error);
+  }
+
+  if (item.code >= 500) {
+    return { success: false, error: 'server_error', message: `HTTP ${item.code}` };
+  }
+
+  if (item.code === 200) {
+    return parseVideo(body);
+  }
+
+  return { success: false, error: 'no_source', message: 'No source URL found' };
+}
+
+// Resolves up to BATCH_SIZE videos per HTTP call to the Graph batch endpoint.
+// Transient failures (whole request or single items) are retried with
+// exponential backoff; returns a Map of videoId -> result in the same shape
+// as getFacebookVideoUrl. options.assets works as there.
+async function resolveVideoBatch(videoIds, options = {}) {
+  const results = new Map();
+  let pending = videoIds.map(String);
+  const fields = encodeURIComponent(graphFields(options.assets));
+
+  for (let attempt = 0; attempt <= MAX_RETRIES && pending.length > 0; attempt++) {
+    if (attempt > 0) {
+      log.info('Retrying batch', { videos: pending.length, attempt: attempt + 1, maxAttempts: MAX_RETRIES + 1 });
+      await sleep(backoffDelay(attempt - 1));
+    }
+
+    if (!(await waitForCapacity())) {
+      pending.forEach(id => results.set(id, { success: false, error: 'budget_exhausted', message: 'API budget exhausted' }));
+      return results;
+    }
+
+    const batch = pending.map(id => ({ method: 'GET', relative_url: `${id}?fields=${fields}` }));
+
+    try {
+      // In the body, not the query string: 50 sub-requests can outgrow URL
+      // limits, and the token would end up in proxy and access logs
+      const body = new URLSearchParams({
+        access_token: accessToken,
+        include_headers: 'false',
+        batch: JSON.stringify(batch)
+      });
+      const response = await graphRequest({
+        method: 'post',
+        url: `${GRAPH_URL}/`,
+        data: body.toString(),
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 30000
+      });
+
+      const items = Array.isArray(response.data) ? response.data : [];
+      pending.forEach((id, index) => results.set(id, parseBatchItem(items[index])));
+    } catch (error) {
+      const result = classifyRequestError(error);
+      pending.forEach(id => results.set(id, result));
+    }
+
+    pending = pending.filter(id => isTransient(results.get(id)));
+  }
+
+  // Still rate limited after every retry: treat the budget as spent for this run
+  if (pending.some(id => results.get(id).error === 'rate_limit')) {
+    usage.exhausted = true;
+  }
+
+  return results;
+}
+
+function resetUsage() {
+  usage = { percent: 0, peakPercent: 0, regainMinutes: 0, exhausted: false, updatedAt: null };
+}
+
+function getUsage() {
+  return { ...usage };
+}
+
+function isBudgetExhausted() {
+  return usage.exhausted;
+}
+
+module.exports = {
+  graphRequest,
+  getAccessToken,
+  setAccessToken,
+  getFacebookVideoUrl,
+  resolveVideoBatch,
+  isTransient,
+  isBudgetExhausted,
+  resetUsage,
+  getUsage,
+  graphEvents,
+  GRAPH_URL,
+  BATCH_SIZE,
+  ASSET_KINDS
+};
@@ -0,0 +1,140 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['json', 'pretty'];
+
+// Fields added to every line logged inside runWithContext(), e.g. the run ID
+const context = new AsyncLocalStorage();
+
+// Values under these keys never reach the logs
+const SENSITIVE_KEY = /token|secret|password|authorization|api[-_]?key|signature|cookie/i;
+
+// Credentials that turn up inside strings: Graph query parameters, the bot
+// token in Telegram API URLs and bare Facebook access tokens
+const SENSITIVE_PATTERNS = [
+  [/\b(access_token|input_token|fb_exchange_token|client_secret)=[^&\s"']+/g, '$1=[REDACTED]'],
+  [/\bbot\d+:[A-Za-z0-9_-]+/g, 'bot[REDACTED]'],
+  [/\bEAA[A-Za-z0-9]{20,}/g, '[REDACTED]']
+];
+
+function readLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  if (LEVELS[level]) return level;
+  process.stderr.write(`Unknown LOG_LEVEL "${level}", using info\n`);
+  return 'info';
+}
+
+function readFormat() {
+  const fallback = process.env.NODE_ENV === 'production' ? 'json' : 'pretty';
+  const format = (process.env.LOG_FORMAT || fallback).toLowerCase();
+  if (FORMATS.includes(format)) return format;
+  process.stderr.write(`Unknown LOG_FORMAT "${format}", using ${fallback}\n`);
+  return fallback;
+}
+
+const minLevel = LEVELS[readLevel()];
+const format = readFormat();
+
+function redactString(value) {
+  return SENSITIVE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+// Axios errors carry the whole request config (URL with access_token, the
+// Telegram bot token), so only the useful parts are kept
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    stack: error.stack
+  };
+
+  if (error.config) {
+    serialized.request = { method: error.config.method, url: error.config.url };
+  }
+  if (error.response) {
+    serialized.status = error.response.status;
+    serialized.response = error.response.data;
+  }
+
+  return serialized;
+}
+
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (depth > 6) return '[Truncated]';
+
+  if (value instanceof Error) return redact(serializeError(value), depth + 1);
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (item === undefined) return;
+    result[key] = SENSITIVE_KEY.test(key) && typeof item === 'string'
+      ? '[REDACTED]'
+      : redact(item, depth + 1);
+  });
+  return result;
+}
+
+function formatPretty(entry) {
+  const { time, level, component, msg, ...fields } = entry;
+  const multiline = [];
+  const inline = [];
+
+  Object.entries(fields).forEach(([key, value]) => {
+    if (typeof value === 'string' && value.includes('\n')) {
+      multiline.push(value);
+    } else if (key === 'error' && value && value.stack) {
+      const { stack, ...rest } = value;
+      inline.push(`error=${JSON.stringify(rest)}`);
+      multiline.push(stack);
+    } else {
+      inline.push(`${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    }
+  });
+
+  const head = `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${inline.length ? ` ${inline.join(' ')}` : ''}`;
+  return [head, ...multiline].join('\n');
+}
+
+function write(level, component, bound, msg, fields) {
+  if (LEVELS[level] < minLevel) return;
+
+  // log.error('...', error) is accepted as a shorthand for { error }
+  const extra = fields instanceof Error ? { error: fields } : fields;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg,
+    ...context.getStore(),
+    ...bound,
+    ...extra
+  });
+
+  const line = format === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// createLogger('urlUpdater').child({ table, rowId }) binds fields to every line
+function createLogger(component, bound = {}) {
+  return {
+    debug: (msg, fields) => write('debug', component, bound, msg, fields),
+    info: (msg, fields) => write('info', component, bound, msg, fields),
+    warn: (msg, fields) => write('warn', component, bound, msg, fields),
+    error: (msg, fields) => write('error', component, bound, msg, fields),
+    child: (fields) => createLogger(component, { ...bound, ...fields })
+  };
+}
+
+// Runs fn with fields attached to every line it logs, across awaits
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = { createLogger, runWithContext, redact };
@@ -0,0 +1,223 @@
+const client = require('prom-client');
+const { graphEvents } = require('./facebookGraph');
+const { createLogger } = require('./logger');
+
+const log = createLogger('metrics');
+
+const PREFIX = 'url_updater_';
+const RUN_MODES = ['full', 'queue'];
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+// Counters for dry runs would look like real refreshes, so the updater only
+// records real runs here (see urlUpdater.js)
+const urlsChecked = new client.Counter({
+  name: `${PREFIX}urls_checked_total`,
+  help: 'URLs checked during table scans',
+  labelNames: ['table'],
+  registers: [registry]
+});
+
+const urlsValid = new client.Counter({
+  name: `${PREFIX}urls_valid_total`,
+  help: 'URLs left alone, by how they were found valid (expiry = signed expiry far enough away, head = HEAD check)',
+  labelNames: ['table', 'check'],
+  registers: [registry]
+});
+
+const urlsUpdated = new client.Counter({
+  name: `${PREFIX}urls_updated_total`,
+  help: 'URLs refreshed, by source (queue, scan or manual)',
+  labelNames: ['table', 'source'],
+  registers: [registry]
+});
+
+const urlsFailed = new client.Counter({
+  name: `${PREFIX}urls_failed_total`,
+  help: 'URLs that could not be refreshed, by reason',
+  labelNames: ['table', 'reason'],
+  registers: [registry]
+});
+
+const urlsQueued = new client.Counter({
+  name: `${PREFIX}urls_queued_total`,
+  help: 'URLs queued or re-queued for a later run',
+  labelNames: ['table'],
+  registers: [registry]
+});
+
+const graphCalls = new client.Counter({
+  name: `${PREFIX}graph_api_calls_total`,
+  help: 'HTTP requests made to the Graph API',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+const graphErrors = new client.Counter({
+  name: `${PREFIX}graph_api_errors_total`,
+  help: 'Graph API errors by Graph error code (none = no Graph error body), for whole requests and batch sub-requests',
+  labelNames: ['code', 'scope'],
+  registers: [registry]
+});
+
+const runs = new client.Counter({
+  name: `${PREFIX}runs_total`,
+  help: 'Finished update runs',
+  labelNames: ['mode', 'status'],
+  registers: [registry]
+});
+
+const runDuration = new client.Histogram({
+  name: `${PREFIX}run_duration_seconds`,
+  help: 'Duration of finished update runs',
+  labelNames: ['mode', 'status'],
+  buckets: [10, 30, 60, 120, 300, 600, 1200, 1800, 3600],
+  registers: [registry]
+});
+
+const urlChecks = new client.Counter({
+  name: `${PREFIX}url_checks_total`,
+  help: 'Validity checks of stored URLs without a signed expiry, by outcome (valid, expired_signature, gone, transient, unknown)',
+  labelNames: ['outcome'],
+  registers: [registry]
+});
+
+// Kept under its old name; a check is a HEAD request, a ranged GET when HEAD
+// can't tell, and any transient retries
+const headLatency = new client.Histogram({
+  name: `${PREFIX}head_check_duration_seconds`,
+  help: 'Latency of validity checks on stored video URLs, by outcome',
+  labelNames: ['result'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5],
+  registers: [registry]
+});
+
+// Seeded from run history on the first scrape so a restart doesn't look like
+// "never succeeded" to an alert
+const lastSuccess = {};
+let lastSuccessSeeded = false;
+
+async function seedLastSuccess() {
+  if (lastSuccessSeeded) return;
+  lastSuccessSeeded = true;
+
+  const runHistory = require('./runHistory');
+  for (const mode of RUN_MODES) {
+    if (lastSuccess[mode]) continue;
+    try {
+      const run = await runHistory.getLastSuccessfulRun(mode);
+      if (run && run.finished_at) {
+        lastSuccess[mode] = new Date(run.finished_at).getTime() / 1000;
+      }
+    } catch (error) {
+      lastSuccessSeeded = false;
+      log.error('Could not read the last successful run', { mode, error: error.message });
+    }
+  }
+}
+
+new client.Gauge({
+  name: `${PREFIX}last_success_timestamp_seconds`,
+  help: 'Unix time the last completed run of each mode finished',
+  labelNames: ['mode'],
+  registers: [registry],
+  async collect() {
+    await seedLastSuccess();
+    Object.entries(lastSuccess).forEach(([mode, seconds]) => this.set({ mode }, seconds));
+  }
+});
+
+// Read from the queue table on every scrape. Both queue gauges are collected
+// together, so they share one lookup.
+const QUEUE_STATUSES = { pending: 'pending', completed: 'completed', failed: 'failed', deadLetter: 'dead_letter', merged: 'merged' };
+let queueLookup = null;
+
+function readQueueStatus() {
+  if (!queueLookup) {
+    const { getQueueStatus } = require('./updateQueue');
+    queueLookup = getQueueStatus().finally(() => { queueLookup = null; });
+  }
+  return queueLookup;
+}
+
+new client.Gauge({
+  name: `${PREFIX}queue_items`,
+  help: 'Queue items by status',
+  labelNames: ['status'],
+  registers: [registry],
+  async collect() {
+    const status = await readQueueStatus();
+    if (status.error) return;
+
+    Object.entries(QUEUE_STATUSES).forEach(([key, label]) => this.set({ status: label }, status[key] || 0));
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}queue_waiting_for_retry`,
+  help: 'Pending queue items whose next attempt is in the future',
+  registers: [registry],
+  async collect() {
+    const status = await readQueueStatus();
+    if (!status.error) this.set(status.waitingForRetry || 0);
+  }
+});
+
+graphEvents.on('call', ({ ok, errorCode }) => {
+  graphCalls.inc({ result: ok ? 'ok' : 'error' });
+  if (!ok) graphErrors.inc({ code: errorCode ? String(errorCode) : 'none', scope: 'request' });
+});
+
+graphEvents.on('batchItemError', ({ errorCode }) => {
+  graphErrors.inc({ code: errorCode ? String(errorCode) : 'none', scope: 'batch_item' });
+});
+
+function recordChecked(table) {
+  urlsChecked.inc({ table });
+}
+
+function recordValid(table, check) {
+  urlsValid.inc({ table, check });
+}
+
+function recordUpdated(table, source) {
+  urlsUpdated.inc({ table, source });
+}
+
+function recordFailed(table, reason) {
+  urlsFailed.inc({ table, reason: reason || 'unknown' });
+}
+
+function recordQueued(table) {
+  urlsQueued.inc({ table });
+}
+
+function recordRun(mode, status, durationMs) {
+  runs.inc({ mode, status });
+  runDuration.observe({ mode, status }, durationMs / 1000);
+  if (status === 'completed') {
+    lastSuccess[mode] = Date.now() / 1000;
+  }
+}
+
+function recordUrlCheck(outcome, durationMs) {
+  urlChecks.inc({ outcome });
+  headLatency.observe({ result: outcome }, durationMs / 1000);
+}
+
+async function getMetrics() {
+  return registry.metrics();
+}
+
+module.exports = {
+  recordChecked,
+  recordValid,
+  recordUpdated,
+  recordFailed,
+  recordQueued,
+  recordRun,
+  recordUrlCheck,
+  getMetrics,
+  contentType: registry.contentType
+};
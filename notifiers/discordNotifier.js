@@ -0,0 +1,29 @@
+const axios = require('axios');
+const { toDiscordMarkdown, truncate, severity } = require('./format');
+
+const COLORS = { success: 0x2ecc71, info: 0x3498db, warning: 0xf1c40f, error: 0xe74c3c };
+// Discord rejects embed descriptions longer than this
+const MAX_DESCRIPTION = 4096;
+
+// options: { webhookUrl } of a Discord channel webhook
+function createDiscordNotifier(options = {}) {
+  if (!options.webhookUrl) {
+    throw new Error('needs webhookUrl');
+  }
+
+  return {
+    async send(event) {
+      await axios.post(options.webhookUrl, {
+        embeds: [{
+          title: event.title,
+          description: truncate(toDiscordMarkdown(event.html), MAX_DESCRIPTION),
+          color: COLORS[severity(event)],
+          timestamp: new Date().toISOString()
+        }]
+      }, { timeout: 10000 });
+      return null;
+    }
+  };
+}
+
+module.exports = { createDiscordNotifier };
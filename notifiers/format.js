@@ -0,0 +1,65 @@
+// Messages are written once as Telegram HTML (<b>, <i>, <code> and entities).
+// Each channel turns that into its own markup with these helpers.
+
+function unescapeHtml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function convert(html, marks) {
+  const text = String(html || '')
+    .replace(/<b>([\s\S]*?)<\/b>/g, `${marks.bold}$1${marks.bold}`)
+    .replace(/<i>([\s\S]*?)<\/i>/g, `${marks.italic}$1${marks.italic}`)
+    .replace(/<code>([\s\S]*?)<\/code>/g, `${marks.code}$1${marks.code}`)
+    .replace(/<[^>]*>/g, '');
+  return unescapeHtml(text);
+}
+
+function toPlainText(html) {
+  return convert(html, { bold: '', italic: '', code: '' });
+}
+
+// Slack reads <...> as links and mentions, so once the tags are gone the
+// text needs its own &, < and > escaped again
+function toSlackMarkdown(html) {
+  return convert(html, { bold: '*', italic: '_', code: '`' })
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function toDiscordMarkdown(html) {
+  return convert(html, { bold: '**', italic: '*', code: '`' });
+}
+
+// Telegram HTML is valid HTML; only the line breaks need spelling out
+function toEmailHtml(html) {
+  return `<div style="font-family: sans-serif; line-height: 1.4">${String(html || '').replace(/\n/g, '<br>')}</div>`;
+}
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+// One word per event, used for colours and subjects
+function severity(event) {
+  const counts = event.counts || {};
+  if (event.type === 'token') return 'warning';
+  if (event.type === 'start') return 'info';
+  if (event.status === 'failed' || counts.failed > 0) return 'error';
+  if (event.status === 'cancelled' || counts.queued > 0) return 'warning';
+  return 'success';
+}
+
+module.exports = {
+  toPlainText,
+  toSlackMarkdown,
+  toDiscordMarkdown,
+  toEmailHtml,
+  truncate,
+  severity
+};
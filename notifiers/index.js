@@ -0,0 +1,183 @@
+// Notification channels for run reports and warnings. Every channel implements:
+//   send(event) -> channel result (the Telegram message, an email ID, or null)
+// and throws when delivery fails. Events look like:
+//   { type: 'start' | 'finish' | 'token', title, html, runId, mode, trigger, dryRun,
+//     status, error, counts, updatedByTable, report, warnings, replyMarkup,
+//     attachments: [{ filename, contentType, content, caption }] }
+// html is Telegram HTML; each channel converts it (see ./format.js). report
+// is the run report model (see ../runReport.js).
+const { createTelegramNotifier } = require('./telegramNotifier');
+const { createSlackNotifier } = require('./slackNotifier');
+const { createDiscordNotifier } = require('./discordNotifier');
+const { createEmailNotifier } = require('./emailNotifier');
+const { createWebhookNotifier } = require('./webhookNotifier');
+const { createLogger } = require('../logger');
+
+const log = createLogger('notify');
+
+const CHANNELS = {
+  telegram: createTelegramNotifier,
+  slack: createSlackNotifier,
+  discord: createDiscordNotifier,
+  email: createEmailNotifier,
+  webhook: createWebhookNotifier
+};
+
+// "failure" only matches finished runs that failed or left failed URLs behind
+const EVENT_FILTERS = ['start', 'finish', 'failure', 'token'];
+
+const MAX_RETRIES = parseInt(process.env.NOTIFY_MAX_RETRIES || '3', 10);
+const RETRY_BASE_MS = parseInt(process.env.NOTIFY_RETRY_BASE_MS || '2000', 10);
+
+let channels = null;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function readConfiguredChannels() {
+  if (!process.env.NOTIFIERS) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(process.env.NOTIFIERS);
+  } catch (error) {
+    throw new Error(`NOTIFIERS is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error('NOTIFIERS must be a JSON array');
+  }
+  return parsed;
+}
+
+function createChannel(config, index) {
+  const where = `NOTIFIERS[${config && config.name ? config.name : index}]`;
+
+  if (!config || !CHANNELS[config.type]) {
+    throw new Error(`${where}.type must be one of ${Object.keys(CHANNELS).join(', ')}`);
+  }
+
+  const events = config.events || EVENT_FILTERS;
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error(`${where}.events must be a non-empty array`);
+  }
+  const unknown = events.filter(event => !EVENT_FILTERS.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`${where}.events has unknown events: ${unknown.join(', ')} (use ${EVENT_FILTERS.join(', ')})`);
+  }
+
+  let channel;
+  try {
+    channel = CHANNELS[config.type](config);
+  } catch (error) {
+    throw new Error(`${where} (${config.type}) ${error.message}`);
+  }
+
+  return { ...channel, type: config.type, name: config.name || `${config.type}-${index}`, events };
+}
+
+// TELEGRAM_CHAT_ID stays the default channel and receives everything,
+// as it did before NOTIFIERS existed
+function loadNotifiers() {
+  const list = readConfiguredChannels().map(createChannel);
+
+  if (process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID) {
+    list.unshift(createChannel({ type: 'telegram', name: 'telegram', chatId: process.env.TELEGRAM_CHAT_ID }, 0));
+  }
+
+  const names = new Set();
+  list.forEach(channel => {
+    if (names.has(channel.name)) {
+      throw new Error(`Two notification channels are named "${channel.name}"`);
+    }
+    names.add(channel.name);
+  });
+
+  channels = list;
+  return getNotifiers();
+}
+
+function getChannels() {
+  if (!channels) loadNotifiers();
+  return channels;
+}
+
+function isFailure(event) {
+  const counts = event.counts || {};
+  return event.type === 'finish' && (event.status === 'failed' || counts.failed > 0 || counts.deadLettered > 0);
+}
+
+function wants(channel, event) {
+  if (channel.events.includes(event.type)) return true;
+  return channel.events.includes('failure') && isFailure(event);
+}
+
+// Network errors, 5xx and rate limits are worth another try; other 4xx aren't
+function retryDelay(error, attempt) {
+  const response = error.response;
+  if (response && response.status < 500 && response.status !== 429) return null;
+
+  const retryAfter = response && (
+    (response.data && response.data.parameters && response.data.parameters.retry_after) ||
+    (response.data && response.data.retry_after) ||
+    parseFloat(response.headers && response.headers['retry-after'])
+  );
+  if (retryAfter > 0) return retryAfter * 1000;
+
+  return RETRY_BASE_MS * Math.pow(2, attempt);
+}
+
+function describeError(error) {
+  const data = error.response && error.response.data;
+  const detail = data && (data.description || data.message || (typeof data === 'string' ? data : null));
+  return detail ? `${error.message}: ${detail}` : error.message;
+}
+
+async function deliver(channel, event) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await channel.send(event);
+      log.info('Notification sent', { channel: channel.name, event: event.type, attempts: attempt + 1 });
+      return { channel: channel.name, type: channel.type, chatId: channel.chatId, ok: true, result };
+    } catch (error) {
+      const delay = attempt < MAX_RETRIES ? retryDelay(error, attempt) : null;
+
+      if (delay === null) {
+        log.error('Notification failed', {
+          channel: channel.name,
+          event: event.type,
+          attempts: attempt + 1,
+          status: error.response ? error.response.status : null,
+          error: describeError(error)
+        });
+        return { channel: channel.name, type: channel.type, chatId: channel.chatId, ok: false, error: describeError(error) };
+      }
+
+      log.warn('Notification failed, retrying', {
+        channel: channel.name,
+        event: event.type,
+        attempt: attempt + 1,
+        retryInMs: delay,
+        error: describeError(error)
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+// Sends the event to every channel subscribed to it, in parallel. Never
+// throws; resolves to one { channel, type, ok, result | error } per channel.
+async function notify(event) {
+  const targets = getChannels().filter(channel => wants(channel, event));
+  if (targets.length === 0) {
+    log.debug('No notification channel for event', { event: event.type });
+    return [];
+  }
+  return Promise.all(targets.map(channel => deliver(channel, event)));
+}
+
+function getNotifiers() {
+  return getChannels().map(channel => ({ name: channel.name, type: channel.type, events: channel.events }));
+}
+
+module.exports = { loadNotifiers, getNotifiers, notify, EVENT_FILTERS };
@@ -0,0 +1,27 @@
+const axios = require('axios');
+const { toSlackMarkdown, severity } = require('./format');
+
+const COLORS = { success: '#2eb67d', info: '#36c5f0', warning: '#ecb22e', error: '#e01e5a' };
+
+// options: { webhookUrl } of a Slack incoming webhook
+function createSlackNotifier(options = {}) {
+  if (!options.webhookUrl) {
+    throw new Error('needs webhookUrl');
+  }
+
+  return {
+    async send(event) {
+      await axios.post(options.webhookUrl, {
+        text: event.title,
+        attachments: [{
+          color: COLORS[severity(event)],
+          text: toSlackMarkdown(event.html),
+          mrkdwn_in: ['text']
+        }]
+      }, { timeout: 10000 });
+      return null;
+    }
+  };
+}
+
+module.exports = { createSlackNotifier };
@@ -0,0 +1,49 @@
+const axios = require('axios');
+const { createLogger } = require('../logger');
+
+const log = createLogger('notify');
+
+async function sendDocument(botToken, chatId, attachment) {
+  const form = new FormData();
+  form.append('chat_id', String(chatId));
+  form.append('document', new Blob([attachment.content], { type: attachment.contentType }), attachment.filename);
+  if (attachment.caption) form.append('caption', attachment.caption);
+
+  await axios.post(`https://api.telegram.org/bot${botToken}/sendDocument`, form, { timeout: 30000 });
+}
+
+// options: { botToken, chatId }. Resolves to the sent message, so the caller
+// can keep editing it (live progress). Attachments follow as documents; a
+// failed one is logged but doesn't fail the delivery, or the retry would
+// post the message twice.
+function createTelegramNotifier(options = {}) {
+  const botToken = options.botToken || process.env.TELEGRAM_BOT_TOKEN;
+  if (!botToken || !options.chatId) {
+    throw new Error('needs chatId and a bot token (botToken or TELEGRAM_BOT_TOKEN)');
+  }
+
+  return {
+    chatId: String(options.chatId),
+
+    async send(event) {
+      const response = await axios.post(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+        chat_id: options.chatId,
+        text: event.html,
+        parse_mode: 'HTML',
+        ...(event.replyMarkup ? { reply_markup: event.replyMarkup } : {})
+      }, { timeout: 10000 });
+
+      for (const attachment of event.attachments || []) {
+        try {
+          await sendDocument(botToken, options.chatId, attachment);
+        } catch (error) {
+          log.error('Could not send Telegram document', { chatId: options.chatId, filename: attachment.filename, error: error.message });
+        }
+      }
+
+      return response.data && response.data.result ? response.data.result : null;
+    }
+  };
+}
+
+module.exports = { createTelegramNotifier };
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { toPlainText } = require('./format');
+
+// options: { url, headers, secret }. Posts the event as JSON. With a secret,
+// X-Signature is the hex HMAC-SHA256 of "<X-Timestamp>.<body>". That differs
+// from the API's signed requests (see apiAuth.js), which also cover the
+// method and path: a webhook is always a POST to the configured url.
+function createWebhookNotifier(options = {}) {
+  if (!options.url) {
+    throw new Error('needs url');
+  }
+
+  return {
+    async send(event) {
+      // Telegram-only fields stay out of the payload, and the failures are
+      // already in report
+      const { html, replyMarkup, attachments, ...fields } = event;
+      const body = JSON.stringify({ ...fields, text: toPlainText(html), sentAt: new Date().toISOString() });
+
+      const headers = { 'Content-Type': 'application/json', ...options.headers };
+      if (options.secret) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        headers['X-Timestamp'] = timestamp;
+        headers['X-Signature'] = crypto.createHmac('sha256', options.secret).update(`${timestamp}.${body}`).digest('hex');
+      }
+
+      await axios.post(options.url, body, { headers, timeout: 10000 });
+      return null;
+    }
+  };
+}
+
+module.exports = { createWebhookNotifier };
@@ -0,0 +1,104 @@
+const { REFRESH_WINDOW_HOURS } = require('./urlExpiry');
+
+// Decides which videos get the API budget first. Each signal is scaled to
+// 0..1, weighted and summed into a score from 0 to 100:
+//   popularity  views from the table's popularityColumn, log-scaled and full
+//               at PRIORITY_POPULARITY_SATURATION views
+//   recency     release date from releasedAtColumn, halving every
+//               PRIORITY_RECENCY_HALF_LIFE_DAYS
+//   expiry      full for URLs that already expired or failed their check,
+//               falling to 0 at the edge of the refresh window
+//   wait        runs the video already waited in the queue, full at
+//               PRIORITY_WAIT_SATURATION_RUNS
+// Signals a table has no column for count as 0.
+const WEIGHTS = {
+  popularity: parseFloat(process.env.PRIORITY_WEIGHT_POPULARITY || '3'),
+  recency: parseFloat(process.env.PRIORITY_WEIGHT_RECENCY || '2'),
+  expiry: parseFloat(process.env.PRIORITY_WEIGHT_EXPIRY || '2'),
+  wait: parseFloat(process.env.PRIORITY_WEIGHT_WAIT || '1')
+};
+
+const POPULARITY_SATURATION = parseFloat(process.env.PRIORITY_POPULARITY_SATURATION || '1000000');
+const RECENCY_HALF_LIFE_DAYS = parseFloat(process.env.PRIORITY_RECENCY_HALF_LIFE_DAYS || '30');
+const WAIT_SATURATION_RUNS = parseFloat(process.env.PRIORITY_WAIT_SATURATION_RUNS || '5');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function clamp(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+function isValidDate(date) {
+  return date instanceof Date && !isNaN(date.getTime());
+}
+
+function popularitySignal(views) {
+  const count = Number(views);
+  if (!Number.isFinite(count) || count <= 0) return 0;
+  return clamp(Math.log10(count + 1) / Math.log10(POPULARITY_SATURATION + 1));
+}
+
+// Unreleased (future) dates count as brand new
+function recencySignal(releasedAt, now) {
+  if (!isValidDate(releasedAt)) return 0;
+  const ageDays = Math.max(now - releasedAt.getTime(), 0) / DAY_MS;
+  return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+// No expiry on a candidate means its check found the URL broken already
+function expirySignal(expiresAt, now) {
+  if (!isValidDate(expiresAt)) return 1;
+  const hoursLeft = (expiresAt.getTime() - now) / HOUR_MS;
+  if (REFRESH_WINDOW_HOURS <= 0) return hoursLeft <= 0 ? 1 : 0;
+  return clamp(1 - hoursLeft / REFRESH_WINDOW_HOURS);
+}
+
+function waitSignal(runsWaited) {
+  return clamp((runsWaited || 0) / WAIT_SATURATION_RUNS);
+}
+
+function totalWeight() {
+  return Object.values(WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+}
+
+function round(score) {
+  return Math.round(score * 100) / 100;
+}
+
+// video: { popularity, releasedAt, expiresAt, runsWaited }
+// Returns { score, signals } with score rounded to two decimals
+function scorePriority(video, now = Date.now()) {
+  const signals = {
+    popularity: popularitySignal(video.popularity),
+    recency: recencySignal(video.releasedAt, now),
+    expiry: expirySignal(video.expiresAt, now),
+    wait: waitSignal(video.runsWaited)
+  };
+
+  const total = totalWeight();
+  if (total <= 0) return { score: 0, signals };
+
+  const weighted = Object.keys(WEIGHTS).reduce((sum, name) => sum + WEIGHTS[name] * signals[name], 0);
+  return { score: round((weighted / total) * 100), signals };
+}
+
+// The score is a plain weighted sum, so a stored score can follow a new wait
+// count without knowing the other signals
+function rescoreWait(score, fromRuns, toRuns) {
+  const total = totalWeight();
+  if (total <= 0) return score;
+
+  const points = runs => (WEIGHTS.wait / total) * waitSignal(runs) * 100;
+  return round(score - points(fromRuns) + points(toRuns));
+}
+
+function validateWeights() {
+  for (const [name, weight] of Object.entries(WEIGHTS)) {
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`PRIORITY_WEIGHT_${name.toUpperCase()} must be a number of 0 or more`);
+    }
+  }
+}
+
+module.exports = { scorePriority, rescoreWait, validateWeights, WEIGHTS, WAIT_SATURATION_RUNS };
@@ -0,0 +1,92 @@
+const storage = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('runHistory');
+
+const TRIGGERS = ['cron', 'bot', 'http'];
+
+function toRow(stats) {
+  return {
+    total_checked: stats.totalChecked,
+    already_valid: stats.alreadyValid,
+    expired: stats.expired,
+    expiring_soon: stats.expiringSoon,
+    skipped_not_expiring: stats.skippedNotExpiring,
+    updated: stats.updated,
+    failed: stats.failed,
+    queued: stats.queued,
+    dead_lettered: stats.deadLettered,
+    api_calls_used: stats.apiCallsUsed,
+    videos_resolved: stats.videosResolved,
+    updated_by_table: stats.updatedByTable,
+    failures: stats.failures
+  };
+}
+
+// History is best-effort: a failing insert must never stop the run itself
+async function startRun(trigger, mode) {
+  try {
+    const run = await storage.insert('update_runs', {
+      trigger: TRIGGERS.includes(trigger) ? trigger : 'http',
+      mode: mode,
+      status: 'running',
+      started_at: new Date().toISOString()
+    });
+    return run.id;
+  } catch (error) {
+    log.error('Error recording run start', { error: error.message });
+    return null;
+  }
+}
+
+async function finishRun(runId, stats, status, errorMsg = null) {
+  if (!runId) return;
+
+  try {
+    await storage.update('update_runs', [{ column: 'id', op: 'eq', value: runId }], {
+      ...toRow(stats),
+      status: status,
+      error_message: errorMsg,
+      finished_at: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Error recording run result', { runId, error: error.message });
+  }
+}
+
+async function listRuns({ limit = 20, trigger = null } = {}) {
+  const where = trigger ? [{ column: 'trigger', op: 'eq', value: trigger }] : [];
+
+  return storage.select('update_runs', {
+    where,
+    orderBy: [{ column: 'started_at', ascending: false }],
+    limit: Math.min(limit, 100)
+  });
+}
+
+async function getRun(runId) {
+  const rows = await storage.select('update_runs', {
+    where: [{ column: 'id', op: 'eq', value: runId }],
+    limit: 1
+  });
+  return rows[0] || null;
+}
+
+async function getLastRun() {
+  const runs = await listRuns({ limit: 1 });
+  return runs[0] || null;
+}
+
+async function getLastSuccessfulRun(mode) {
+  const rows = await storage.select('update_runs', {
+    where: [
+      { column: 'status', op: 'eq', value: 'completed' },
+      { column: 'mode', op: 'eq', value: mode }
+    ],
+    orderBy: [{ column: 'finished_at', ascending: false }],
+    limit: 1
+  });
+  return rows[0] || null;
+}
+
+module.exports = { startRun, finishRun, listRuns, getRun, getLastRun, getLastSuccessfulRun, TRIGGERS };
@@ -0,0 +1,202 @@
+const os = require('os');
+const crypto = require('crypto');
+const storage = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('runLock');
+
+// One row per lock in run_lock. A lock is free when owner is null or its
+// expires_at has passed (the holder died without releasing it). The holder
+// keeps pushing expires_at forward while the run is alive.
+const LOCK_TABLE = 'run_lock';
+const LOCK_NAME = 'url_update';
+const LOCK_TTL_MINUTES = parseFloat(process.env.RUN_LOCK_TTL_MINUTES || '10');
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const byName = [{ column: 'name', op: 'eq', value: LOCK_NAME }];
+
+// { token, trigger, runId, heartbeat } while this process holds the lock
+let held = null;
+let cancelRequested = false;
+
+function expiresAt() {
+  return new Date(Date.now() + LOCK_TTL_MINUTES * 60 * 1000).toISOString();
+}
+
+function ownedBy(token) {
+  return [...byName, { column: 'owner', op: 'eq', value: token }];
+}
+
+async function readLock() {
+  const rows = await storage.select(LOCK_TABLE, { where: byName, limit: 1 });
+  return rows[0] || null;
+}
+
+async function ensureLockRow() {
+  if (await readLock()) return;
+  try {
+    await storage.insert(LOCK_TABLE, { name: LOCK_NAME, owner: null });
+  } catch (error) {
+    // Another instance created it at the same moment, which is just as good
+  }
+}
+
+// Also picks up cancel requests made on other instances
+async function heartbeat() {
+  if (!held) return;
+
+  try {
+    await storage.update(LOCK_TABLE, ownedBy(held.token), { expires_at: expiresAt() });
+    const lock = await readLock();
+
+    if (!lock || lock.owner !== held.token) {
+      log.warn('Run lock was taken over by another instance, stopping this run', { runId: held.runId });
+      cancelRequested = true;
+    } else if (lock.cancel_requested_at) {
+      cancelRequested = true;
+    }
+  } catch (error) {
+    log.error('Run lock heartbeat failed', { error: error.message });
+  }
+}
+
+// Resolves to true when this process now holds the lock. Claiming is a
+// conditional update followed by a read-back, so of two instances racing for
+// a free lock only one sees its own token.
+async function acquireRunLock(trigger) {
+  if (held) return false;
+
+  const token = `${INSTANCE_ID}:${Date.now()}`;
+  // Claimed before the first await so a second caller in this process loses right away
+  held = { token, trigger, runId: null, heartbeat: null };
+
+  try {
+    await ensureLockRow();
+
+    const now = new Date().toISOString();
+    await storage.update(LOCK_TABLE, [
+      ...byName,
+      {
+        or: [
+          { column: 'owner', op: 'is', value: null },
+          { column: 'expires_at', op: 'lt', value: now }
+        ]
+      }
+    ], {
+      owner: token,
+      run_id: null,
+      trigger: trigger,
+      acquired_at: now,
+      expires_at: expiresAt(),
+      cancel_requested_at: null
+    });
+
+    const lock = await readLock();
+    if (!lock || lock.owner !== token) {
+      held = null;
+      return false;
+    }
+  } catch (error) {
+    held = null;
+    throw error;
+  }
+
+  cancelRequested = false;
+  held.heartbeat = setInterval(heartbeat, (LOCK_TTL_MINUTES * 60 * 1000) / 3);
+  held.heartbeat.unref();
+  return true;
+}
+
+async function setLockRunId(runId) {
+  if (!held) return;
+  held.runId = runId;
+
+  try {
+    await storage.update(LOCK_TABLE, ownedBy(held.token), { run_id: runId });
+  } catch (error) {
+    log.error('Error recording run ID on the lock', { runId, error: error.message });
+  }
+}
+
+async function releaseRunLock() {
+  if (!held) return;
+
+  const { token, heartbeat: timer } = held;
+  clearInterval(timer);
+  held = null;
+  cancelRequested = false;
+
+  try {
+    await storage.update(LOCK_TABLE, ownedBy(token), {
+      owner: null,
+      run_id: null,
+      trigger: null,
+      expires_at: null,
+      cancel_requested_at: null
+    });
+  } catch (error) {
+    // The lock expires on its own after RUN_LOCK_TTL_MINUTES
+    log.error('Error releasing run lock', { error: error.message });
+  }
+}
+
+// The run holding the lock on any instance, or null
+async function getActiveRun() {
+  if (held) {
+    return { runId: held.runId, trigger: held.trigger, local: true, cancelRequested };
+  }
+
+  try {
+    const lock = await readLock();
+    if (!lock || !lock.owner || !lock.expires_at || new Date(lock.expires_at) <= new Date()) {
+      return null;
+    }
+    return {
+      runId: lock.run_id,
+      trigger: lock.trigger,
+      local: false,
+      cancelRequested: !!lock.cancel_requested_at,
+      acquiredAt: lock.acquired_at
+    };
+  } catch (error) {
+    log.error('Error reading run lock', { error: error.message });
+    return null;
+  }
+}
+
+// Asks the active run to stop after the item it is working on. A run on
+// another instance notices at its next heartbeat. Resolves to the run, or
+// null when nothing is running.
+async function requestCancel() {
+  const active = await getActiveRun();
+  if (!active) return null;
+
+  if (active.local) {
+    cancelRequested = true;
+  }
+
+  try {
+    await storage.update(LOCK_TABLE, [
+      ...byName,
+      { column: 'owner', op: 'is', value: null, not: true }
+    ], { cancel_requested_at: new Date().toISOString() });
+  } catch (error) {
+    if (!active.local) throw error;
+    log.error('Error recording cancel request', { runId: active.runId, error: error.message });
+  }
+
+  return { ...active, cancelRequested: true };
+}
+
+function isCancelRequested() {
+  return cancelRequested;
+}
+
+module.exports = {
+  acquireRunLock,
+  setLockRunId,
+  releaseRunLock,
+  getActiveRun,
+  requestCancel,
+  isCancelRequested
+};
@@ -0,0 +1,64 @@
+const EventEmitter = require('events');
+
+// Progress is reported per item, which is far too chatty for listeners
+const EMIT_INTERVAL_MS = parseInt(process.env.PROGRESS_EMIT_INTERVAL_MS || '1000', 10);
+
+// Emits 'start', 'progress' and 'finish', each with a snapshot of the run
+const progressEvents = new EventEmitter();
+progressEvents.setMaxListeners(50);
+
+let current = null;
+let lastEmit = 0;
+
+function snapshot() {
+  return current ? { ...current } : null;
+}
+
+function startProgress({ runId = null, mode, trigger, dryRun = false }) {
+  current = {
+    runId,
+    mode,
+    trigger,
+    dryRun,
+    status: 'running',
+    phase: 'starting',
+    table: null,
+    done: 0,
+    total: 0,
+    updated: 0,
+    failed: 0,
+    queued: 0,
+    apiCallsUsed: 0,
+    startedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    finishedAt: null
+  };
+  lastEmit = Date.now();
+  progressEvents.emit('start', snapshot());
+}
+
+// force skips the throttle, e.g. on a phase or table change
+function reportProgress(fields, force = false) {
+  if (!current) return;
+
+  Object.assign(current, fields, { updatedAt: new Date().toISOString() });
+
+  if (force || Date.now() - lastEmit >= EMIT_INTERVAL_MS) {
+    lastEmit = Date.now();
+    progressEvents.emit('progress', snapshot());
+  }
+}
+
+function finishProgress(status, fields = {}) {
+  if (!current) return;
+
+  Object.assign(current, fields, { status, phase: 'done', finishedAt: new Date().toISOString() });
+  progressEvents.emit('finish', snapshot());
+}
+
+// The running (or last finished) run's progress, null before the first run
+function getProgress() {
+  return snapshot();
+}
+
+module.exports = { progressEvents, startProgress, reportProgress, finishProgress, getProgress };
@@ -0,0 +1,357 @@
+const { getTable, getTables } = require('./tableConfig');
+
+// One report model per run, built either from the live stats of a run or
+// from its stored update_runs row. The Telegram HTML, the JSON export and
+// the CSV failure list are all rendered from it.
+
+const FAILURE_CATEGORIES = [
+  { key: 'notFound', category: 'not_found' },
+  { key: 'permissionDenied', category: 'permission_denied' },
+  { key: 'apiError', category: 'api_error' }
+];
+
+const CHECK_LABELS = {
+  valid: 'valid',
+  expired_signature: 'expired signature',
+  gone: 'gone',
+  transient: 'transient',
+  unknown: 'unknown'
+};
+
+// Telegram messages are capped at 4096 characters, so the HTML report only
+// shows the first few failures of each category
+const HTML_FAILURE_LIMITS = { not_found: 5, permission_denied: 3, api_error: 3 };
+const MAX_HTML_LENGTH = 4096;
+// Kept free at the end of a plan section for its "... and N more" line
+const PLAN_MORE_RESERVE = 40;
+
+const CSV_COLUMNS = ['run_id', 'category', 'reason', 'table', 'row_id', 'video_id', 'title', 'message'];
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Failures recorded before table/rowId/reason were stored still show up,
+// with those fields left empty
+function flattenFailures(failures) {
+  const lists = failures || {};
+  return FAILURE_CATEGORIES.flatMap(({ key, category }) => (lists[key] || []).map(item => ({
+    category,
+    reason: item.reason || category,
+    table: item.table || null,
+    rowId: item.rowId !== undefined ? item.rowId : null,
+    videoId: item.id || null,
+    title: item.title || null,
+    message: item.message || null
+  })));
+}
+
+// Configured tables first, then any table the run touched that has since
+// been removed from the config
+function tableBreakdown(updatedByTable) {
+  const counts = updatedByTable || {};
+  const names = getTables().map(table => table.name);
+  Object.keys(counts).forEach(name => {
+    if (!names.includes(name)) names.push(name);
+  });
+
+  return names.map(name => {
+    const table = getTable(name);
+    return {
+      table: name,
+      label: table ? table.label : name,
+      emoji: table ? table.emoji : '📁',
+      updated: counts[name] || 0
+    };
+  });
+}
+
+// options: { status, error, apiCallLimit, peakUsagePercent, nextRun },
+// nextRun being { schedule, at } or null when nothing is scheduled
+function fromStats(stats, options = {}) {
+  const finishedAt = new Date();
+
+  return {
+    runId: stats.runId || null,
+    trigger: stats.trigger || null,
+    mode: stats.mode || 'full',
+    status: options.status || 'completed',
+    error: options.error || null,
+    dryRun: !!stats.dryRun,
+    resolve: !!stats.resolve,
+    startedAt: stats.startTime ? new Date(stats.startTime).toISOString() : null,
+    finishedAt: finishedAt.toISOString(),
+    durationSeconds: stats.startTime ? Math.round((finishedAt.getTime() - stats.startTime) / 1000) : null,
+    summary: {
+      totalChecked: stats.totalChecked,
+      alreadyValid: stats.alreadyValid,
+      expired: stats.expired,
+      expiringSoon: stats.expiringSoon,
+      skippedNotExpiring: stats.skippedNotExpiring,
+      updated: stats.updated,
+      failed: stats.failed,
+      queued: stats.queued,
+      deadLettered: stats.deadLettered,
+      skippedUnavailable: stats.skippedUnavailable || 0,
+      markedUnavailable: stats.markedUnavailable || 0
+    },
+    updatedByTable: tableBreakdown(stats.updatedByTable),
+    urlChecks: stats.urlChecks || null,
+    api: {
+      callsUsed: stats.apiCallsUsed,
+      callLimit: options.apiCallLimit || null,
+      videosResolved: stats.videosResolved,
+      simulatedCalls: stats.simulatedCalls || 0,
+      resolvedWithPageToken: stats.resolvedWithPageToken || 0,
+      peakUsagePercent: options.peakUsagePercent !== undefined ? options.peakUsagePercent : null
+    },
+    failures: flattenFailures(stats.failures),
+    plan: stats.dryRun ? stats.plan : undefined,
+    nextRun: options.nextRun || null
+  };
+}
+
+// Stored runs don't keep the page-token count, peak usage, API budget,
+// triage counts or URL check outcomes, and have no next run to announce
+function fromRun(run) {
+  const startedAt = run.started_at ? new Date(run.started_at) : null;
+  const finishedAt = run.finished_at ? new Date(run.finished_at) : null;
+
+  return {
+    runId: run.id,
+    trigger: run.trigger,
+    mode: run.mode || 'full',
+    status: run.status,
+    error: run.error_message || null,
+    dryRun: false,
+    resolve: false,
+    startedAt: startedAt ? startedAt.toISOString() : null,
+    finishedAt: finishedAt ? finishedAt.toISOString() : null,
+    durationSeconds: startedAt && finishedAt ? Math.round((finishedAt - startedAt) / 1000) : null,
+    summary: {
+      totalChecked: run.total_checked || 0,
+      alreadyValid: run.already_valid || 0,
+      expired: run.expired || 0,
+      expiringSoon: run.expiring_soon || 0,
+      skippedNotExpiring: run.skipped_not_expiring || 0,
+      updated: run.updated || 0,
+      failed: run.failed || 0,
+      queued: run.queued || 0,
+      deadLettered: run.dead_lettered || 0
+    },
+    updatedByTable: tableBreakdown(run.updated_by_table),
+    urlChecks: null,
+    api: {
+      callsUsed: run.api_calls_used || 0,
+      callLimit: null,
+      videosResolved: run.videos_resolved || 0,
+      simulatedCalls: 0,
+      resolvedWithPageToken: null,
+      peakUsagePercent: null
+    },
+    failures: flattenFailures(run.failures)
+  };
+}
+
+// Plan items carry long titles and reasons, so besides the item limit a
+// section stops adding items once it would outgrow room characters
+function formatPlanSection(title, items, limit, room = Infinity) {
+  let section = `\n${title} (${items.length}):</b>\n`;
+  let shown = 0;
+  for (const item of items.slice(0, limit)) {
+    const priority = item.priority !== undefined && item.priority !== null ? ` · priority ${item.priority}` : '';
+    const line = `  • ${escapeHtml(item.table)} #${escapeHtml(item.rowId)} ${escapeHtml(item.title || '')}${priority}${item.reason ? ` - ${escapeHtml(item.reason)}` : ''}\n`;
+    if (section.length + line.length + PLAN_MORE_RESERVE > room) break;
+    section += line;
+    shown++;
+  }
+  if (items.length > shown) {
+    section += `  ... and ${items.length - shown} more\n`;
+  }
+  return section;
+}
+
+function formatFailureSection(title, icon, items, limit, withReason) {
+  let section = `\n${title} (${items.length}):</b>\n`;
+  items.slice(0, limit).forEach(item => {
+    section += `  ${icon} ${escapeHtml(item.title || item.videoId)}${withReason ? ` - ${escapeHtml(item.reason)}` : ''}\n`;
+  });
+  if (items.length > limit) {
+    section += `  ... and ${items.length - limit} more\n`;
+  }
+  return section;
+}
+
+// The Telegram HTML report; other channels convert it (see notifiers/format.js)
+function renderHtml(report) {
+  const { summary, api } = report;
+
+  let html = report.dryRun ? `🧪 <b>[DRY RUN]</b> ` : '';
+  html += report.mode === 'queue'
+    ? `🔄 <b>CDN URL Queue Drain Report</b>\n`
+    : `🔄 <b>CDN URL Update Report</b>\n`;
+  html += `━━━━━━━━━━━━━━━━━\n`;
+  if (report.dryRun) {
+    html += `<i>Simulation only - nothing was written to the database or queue.</i>\n`;
+    if (!report.resolve) {
+      html += `<i>New URLs were not resolved (no Graph API calls).</i>\n`;
+    }
+  }
+  const time = report.finishedAt || report.startedAt;
+  if (time) {
+    html += `⏰ ${new Date(time).toLocaleString('en-US', { timeZone: 'UTC' })} UTC\n`;
+  }
+  if (report.runId) {
+    html += `🆔 Run #${report.runId} (${report.trigger})\n`;
+  }
+  if (report.status === 'cancelled') {
+    html += `⏹️ <b>Cancelled</b> - unfinished refreshes were queued for the next run\n`;
+  }
+  if (report.status === 'failed' && report.error) {
+    html += `❌ <b>Failed:</b> ${escapeHtml(report.error)}\n`;
+  }
+  html += `\n`;
+
+  html += `📊 <b>Summary:</b>\n`;
+  html += `✅ Total Checked: ${summary.totalChecked}\n`;
+  html += `🟢 Already Valid: ${summary.alreadyValid}\n`;
+  html += `⚠️ Expired: ${summary.expired}\n`;
+  html += `⏭️ Skipped (not near expiry): ${summary.skippedNotExpiring}\n`;
+  html += `⏳ Expiring Soon (refreshed early): ${summary.expiringSoon}\n`;
+  html += report.dryRun
+    ? `🔄 Would Update: ${summary.updated}\n`
+    : `🔄 Successfully Updated: ${summary.updated}\n`;
+  html += `❌ Failed: ${summary.failed}\n`;
+
+  if (summary.queued > 0) {
+    html += `⏳ Queued for Next Run: ${summary.queued}\n`;
+  }
+  if (summary.deadLettered > 0) {
+    html += `☠️ Dead-Lettered (gave up retrying): ${summary.deadLettered}\n`;
+  }
+  if (summary.skippedUnavailable > 0) {
+    html += `🚫 Skipped (marked unavailable): ${summary.skippedUnavailable}\n`;
+  }
+  if (summary.markedUnavailable > 0) {
+    html += `🚫 <b>Newly Unavailable: ${summary.markedUnavailable}</b> - review with /triage\n`;
+  }
+
+  // Only URLs without a signed expiry get probed
+  const checks = report.urlChecks || {};
+  const probed = Object.keys(CHECK_LABELS).filter(outcome => checks[outcome] > 0);
+  if (probed.length > 0) {
+    html += `\n🔬 <b>URL Checks:</b> ${probed.map(outcome => `${checks[outcome]} ${CHECK_LABELS[outcome]}`).join(' · ')}\n`;
+    if (checks.transient + checks.unknown > 0) {
+      html += `<i>Transient and unknown results were left alone and are checked again next run.</i>\n`;
+    }
+  }
+
+  html += `\n📋 <b>Updates by Table:</b>\n`;
+  report.updatedByTable.forEach(table => {
+    html += `${table.emoji} ${escapeHtml(table.label)}: ${table.updated}\n`;
+  });
+
+  const budget = api.callLimit ? `${api.callsUsed}/${api.callLimit}` : `${api.callsUsed}`;
+  html += `\n📈 <b>API Usage:</b> ${budget} calls (${api.videosResolved} videos resolved)\n`;
+  if (api.simulatedCalls > 0) {
+    html += `🧪 <b>Simulated Calls:</b> ${api.simulatedCalls}\n`;
+  }
+  if (api.resolvedWithPageToken > 0) {
+    html += `🔑 <b>Resolved With Page Tokens:</b> ${api.resolvedWithPageToken}\n`;
+  }
+  if (api.peakUsagePercent !== null) {
+    html += `📶 <b>Peak Graph Usage:</b> ${api.peakUsagePercent}%\n`;
+  }
+  if (report.durationSeconds !== null) {
+    html += `⏱️ <b>Duration:</b> ${Math.floor(report.durationSeconds / 60)}m ${report.durationSeconds % 60}s\n`;
+  }
+
+  const byCategory = category => report.failures.filter(item => item.category === category);
+  const notFound = byCategory('not_found');
+  const permissionDenied = byCategory('permission_denied');
+  const apiError = byCategory('api_error');
+
+  if (notFound.length > 0) {
+    html += formatFailureSection('⚠️ <b>Videos Not Found', '❌', notFound, HTML_FAILURE_LIMITS.not_found, false);
+  }
+  if (permissionDenied.length > 0) {
+    html += formatFailureSection('🔒 <b>Permission Denied', '🔒', permissionDenied, HTML_FAILURE_LIMITS.permission_denied, false);
+  }
+  if (apiError.length > 0) {
+    html += formatFailureSection('🛑 <b>API Errors', '🛑', apiError, HTML_FAILURE_LIMITS.api_error, true);
+  }
+
+  const truncated = notFound.length > HTML_FAILURE_LIMITS.not_found ||
+    permissionDenied.length > HTML_FAILURE_LIMITS.permission_denied ||
+    apiError.length > HTML_FAILURE_LIMITS.api_error;
+  if (truncated && report.runId) {
+    html += `\n📄 <i>Full failure list: /runs/${report.runId}/report.csv</i>\n`;
+  }
+
+  let footer = '';
+  if (report.nextRun !== undefined) {
+    const next = report.nextRun
+      ? `${new Date(report.nextRun.at).toLocaleString('en-US', { timeZone: 'UTC' })} UTC (${report.nextRun.schedule})`
+      : 'not scheduled';
+    footer = `\n\n🔄 Next update: ${next}`;
+  }
+
+  if (report.dryRun) {
+    const plan = report.plan || [];
+    const refreshes = plan.filter(item => item.action === 'refresh');
+    const queued = plan.filter(item => item.action === 'queue');
+    const ending = `\n\n🧪 <b>Dry run complete. No changes were made.</b>`;
+    // The plan gets whatever room the rest of the message leaves, keeping
+    // enough for the queue section's header
+    const room = MAX_HTML_LENGTH - html.length - ending.length - footer.length;
+    const queueReserve = queued.length > 0 ? 100 : 0;
+    if (refreshes.length > 0) html += formatPlanSection('📝 <b>Would Refresh', refreshes, 15, room - queueReserve);
+    if (queued.length > 0) html += formatPlanSection('⏳ <b>Would Queue', queued, 10, MAX_HTML_LENGTH - html.length - ending.length - footer.length);
+    html += ending;
+  } else if (summary.queued === 0 && summary.failed === 0 && summary.updated > 0) {
+    html += `\n\n✅ <b>All expired URLs updated successfully!</b>`;
+  } else if (summary.queued === 0 && summary.totalChecked === summary.alreadyValid + summary.skippedNotExpiring) {
+    html += `\n\n✅ <b>All URLs are still valid. No updates needed.</b>`;
+  } else if (summary.queued > 0) {
+    html += `\n\n💡 <b>Note:</b> ${summary.queued} items queued for the next run.`;
+  }
+
+  return html + footer;
+}
+
+// Quotes fields that need it, and defuses values a spreadsheet would run
+// as a formula
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Every failure of the run, one per line. Starts with a BOM so Excel reads
+// the titles as UTF-8.
+function toCsv(report) {
+  const lines = [CSV_COLUMNS.join(',')];
+  report.failures.forEach(item => {
+    lines.push([
+      report.runId,
+      item.category,
+      item.reason,
+      item.table,
+      item.rowId,
+      item.videoId,
+      item.title,
+      item.message
+    ].map(csvField).join(','));
+  });
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+function csvFilename(report) {
+  return report.runId ? `run-${report.runId}-failures.csv` : 'dry-run-failures.csv';
+}
+
+module.exports = { fromStats, fromRun, renderHtml, toCsv, csvFilename, FAILURE_CATEGORIES };
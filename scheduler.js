@@ -0,0 +1,138 @@
+const { Cron } = require('croner');
+const { startUpdate, checkFacebookTokens } = require('./urlUpdater');
+const { createLogger } = require('./logger');
+
+const log = createLogger('scheduler');
+
+const TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
+const MODES = ['full', 'queue'];
+const DEFAULT_SCHEDULES = [{ name: 'daily', cron: '0 2 * * *', mode: 'full' }];
+// Daily token expiry check, independent of update runs ('off' disables it)
+const TOKEN_CHECK_CRON = process.env.TOKEN_CHECK_CRON || '0 9 * * *';
+
+let entries = [];
+let tokenCheckJob = null;
+
+function readSchedules() {
+  if (process.env.SCHEDULES) {
+    let parsed;
+    try {
+      parsed = JSON.parse(process.env.SCHEDULES);
+    } catch (error) {
+      throw new Error(`SCHEDULES is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(parsed)) {
+      throw new Error('SCHEDULES must be a JSON array');
+    }
+    return parsed;
+  }
+
+  if (process.env.UPDATE_CRON) {
+    return [{ name: 'update', cron: process.env.UPDATE_CRON, mode: 'full' }];
+  }
+
+  return DEFAULT_SCHEDULES;
+}
+
+function validateSchedule(schedule, index) {
+  if (!schedule || !schedule.cron) {
+    throw new Error(`schedules[${index}] needs a cron expression`);
+  }
+
+  const mode = schedule.mode || 'full';
+  if (!MODES.includes(mode)) {
+    throw new Error(`schedules[${index}].mode must be one of ${MODES.join(', ')}`);
+  }
+
+  return {
+    name: schedule.name || `schedule-${index + 1}`,
+    cron: schedule.cron,
+    mode,
+    dryRun: !!schedule.dryRun,
+    resolve: !!schedule.resolve
+  };
+}
+
+async function runScheduled(entry) {
+  log.info('Running schedule', { schedule: entry.name, mode: entry.mode, dryRun: !!entry.dryRun });
+
+  try {
+    const start = await startUpdate({ mode: entry.mode, trigger: 'cron', dryRun: entry.dryRun, resolve: entry.resolve });
+
+    // The run lock is shared with HTTP, the bot and other instances
+    if (!start.started) {
+      entry.lastSkipped = new Date().toISOString();
+      log.info('Skipped schedule', { schedule: entry.name, runId: start.runId, reason: start.error });
+      return;
+    }
+
+    entry.lastRun = new Date().toISOString();
+    await start.done;
+  } catch (error) {
+    log.error('Scheduled run failed', { schedule: entry.name, error });
+  }
+}
+
+function startScheduler() {
+  stopScheduler();
+
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    log.info('Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return [];
+  }
+
+  const schedules = readSchedules().map(validateSchedule);
+
+  entries = schedules.map(schedule => {
+    const entry = { ...schedule, lastRun: null, lastSkipped: null, job: null };
+    try {
+      entry.job = new Cron(schedule.cron, { timezone: TIMEZONE }, () => runScheduled(entry));
+    } catch (error) {
+      throw new Error(`Invalid cron expression for "${schedule.name}": ${error.message}`);
+    }
+    return entry;
+  });
+
+  if (TOKEN_CHECK_CRON !== 'off') {
+    try {
+      tokenCheckJob = new Cron(TOKEN_CHECK_CRON, { timezone: TIMEZONE }, () => checkFacebookTokens());
+    } catch (error) {
+      throw new Error(`Invalid TOKEN_CHECK_CRON: ${error.message}`);
+    }
+  }
+
+  return getSchedules();
+}
+
+function stopScheduler() {
+  entries.forEach(entry => entry.job && entry.job.stop());
+  entries = [];
+  if (tokenCheckJob) tokenCheckJob.stop();
+  tokenCheckJob = null;
+}
+
+function getSchedules() {
+  return entries.map(entry => {
+    const nextRun = entry.job.nextRun();
+    return {
+      name: entry.name,
+      cron: entry.cron,
+      mode: entry.mode,
+      dryRun: entry.dryRun,
+      timezone: TIMEZONE,
+      nextRun: nextRun ? nextRun.toISOString() : null,
+      lastRun: entry.lastRun,
+      lastSkipped: entry.lastSkipped
+    };
+  });
+}
+
+function getNextRun() {
+  const upcoming = getSchedules()
+    .filter(s => s.nextRun)
+    .sort((a, b) => new Date(a.nextRun) - new Date(b.nextRun));
+
+  return upcoming[0] || null;
+}
+
+module.exports = { startScheduler, stopScheduler, getSchedules, getNextRun };
@@ -1,12 +1,102 @@
 require('dotenv').config();
 const express = require('express');
-const { processUrlUpdates, getQueueStatus, testFacebookVideo } = require('./urlUpdater');
+const {
+  processUrlUpdates,
+  startUpdate,
+  stopActiveRun,
+  getQueueStatus,
+  testFacebookVideo,
+  rollbackRun,
+  rollbackRow,
+  checkFacebookTokens
+} = require('./urlUpdater');
 const telegramBot = require('./telegramBot');
+const telegramPolling = require('./telegramPolling');
+const runHistory = require('./runHistory');
+const urlAudit = require('./urlAudit');
+const { loadTableConfig } = require('./tableConfig');
+const refreshPriority = require('./refreshPriority');
+const { initStorage } = require('./storage');
+const scheduler = require('./scheduler');
+const tokenManager = require('./tokenManager');
+const { progressEvents, getProgress } = require('./runProgress');
+const notifiers = require('./notifiers');
+const runReport = require('./runReport');
+const videoTriage = require('./videoTriage');
+const { toPlainText } = require('./notifiers/format');
+const runLock = require('./runLock');
+const apiAuth = require('./apiAuth');
+const metrics = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('server');
+
+// How long shutdown waits for a running update to cancel cleanly
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '20000', 10);
+
+// Fail fast on a bad table mapping instead of at the first scheduled run
+let tables;
+try {
+  tables = loadTableConfig();
+} catch (error) {
+  log.error('Invalid table configuration', { error: error.message });
+  process.exit(1);
+}
+
+try {
+  refreshPriority.validateWeights();
+} catch (error) {
+  log.error('Invalid priority configuration', { error: error.message });
+  process.exit(1);
+}
+
+let storageAdapter;
+try {
+  storageAdapter = initStorage();
+} catch (error) {
+  log.error('Storage configuration error', { error: error.message });
+  process.exit(1);
+}
+
+let schedules;
+try {
+  schedules = scheduler.startScheduler();
+} catch (error) {
+  log.error('Invalid schedule configuration', { error: error.message });
+  process.exit(1);
+}
+
+let apiKeys;
+try {
+  apiKeys = apiAuth.loadApiKeys();
+} catch (error) {
+  log.error('API key configuration error', { error: error.message });
+  process.exit(1);
+}
+
+let notificationChannels;
+try {
+  notificationChannels = notifiers.loadNotifiers();
+} catch (error) {
+  log.error('Notifier configuration error', { error: error.message });
+  process.exit(1);
+}
+
+let telegramMode;
+try {
+  telegramMode = telegramPolling.getTelegramMode();
+} catch (error) {
+  log.error('Telegram configuration error', { error: error.message });
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(express.json());
+// The raw body is kept for HMAC-signed requests
+app.use(express.json({ verify: apiAuth.captureRawBody }));
+
+const requireScope = apiAuth.requireScope;
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -14,55 +104,96 @@ app.get('/', (req, res) => {
     status: 'running', 
     service: 'Facebook CDN URL Updater',
     timestamp: new Date().toISOString(),
-    message: 'Service is healthy. Use Telegram bot or POST /update-urls to trigger update.',
+    message: 'Service is healthy. Updates run on the built-in schedule; use Telegram bot or POST /update-urls to trigger one manually.',
     telegram: process.env.TELEGRAM_BOT_TOKEN ? 'Configured ✅' : 'Not configured ❌'
   });
 });
 
 // Main update endpoint (triggered by cron job)
-app.post('/update-urls', async (req, res) => {
-  const secretKey = req.headers['x-secret-key'];
-  if (secretKey !== process.env.SECRET_KEY) {
-    console.log('Unauthorized access attempt');
-    return res.status(401).json({ error: 'Unauthorized' });
+app.post('/update-urls', requireScope('trigger-update'), async (req, res) => {
+  const flag = (value) => value === true || value === 'true' || value === '1';
+  const dryRun = flag(req.query.dryRun) || flag(req.body && req.body.dryRun);
+  const resolve = flag(req.query.resolve) || flag(req.body && req.body.resolve);
+
+  log.info('URL update requested', { keyName: req.apiKey, dryRun, resolve });
+
+  // A dry run writes nothing, so the caller waits for the simulated report
+  if (dryRun) {
+    try {
+      const result = await processUrlUpdates({ trigger: 'http', dryRun: true, resolve: resolve });
+      if (result.status === 'already_running') {
+        return res.status(409).json({ status: result.status, runId: result.runId, error: result.error, dryRun: true });
+      }
+      return res.json({
+        status: result.status,
+        dryRun: true,
+        resolve: resolve,
+        error: result.error,
+        report: result.report ? toPlainText(result.report) : null,
+        reportData: result.reportData,
+        plan: result.plan,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      return res.status(500).json({ error: error.message, dryRun: true });
+    }
   }
 
-  console.log('URL update triggered at:', new Date().toISOString());
+  let start;
+  try {
+    start = await startUpdate({ trigger: 'http' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
 
+  if (!start.started) {
+    return res.status(start.status === 'already_running' ? 409 : 500).json({
+      status: start.status,
+      runId: start.runId,
+      error: start.error,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  log.info('URL update started over HTTP', { runId: start.runId, keyName: req.apiKey });
   res.json({ 
     status: 'started', 
-    message: 'URL update process initiated. This runs every 24 hours.',
+    runId: start.runId,
+    message: 'URL update process initiated.',
     timestamp: new Date().toISOString()
   });
 
   try {
-    await processUrlUpdates();
+    await start.done;
   } catch (error) {
-    console.error('Error in background process:', error);
+    log.error('Error in background process', { runId: start.runId, error });
   }
 });
 
 // Telegram webhook endpoint
 app.post('/telegram-webhook', async (req, res) => {
+  // Only Telegram knows the secret_token we registered with setWebhook
+  if (!telegramBot.isValidWebhookSecret(req.headers['x-telegram-bot-api-secret-token'])) {
+    log.warn('Rejected Telegram webhook call with a missing or wrong secret token');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
   try {
     await telegramBot.handleTelegramUpdate(req.body);
     res.status(200).json({ ok: true });
   } catch (error) {
-    console.error('Telegram webhook error:', error);
+    log.error('Telegram webhook error', { updateId: req.body && req.body.update_id, error });
     res.status(200).json({ ok: true }); // Always return 200 to Telegram
   }
 });
 
 // Setup Telegram webhook (call once to configure)
-// Accepts secret key from BOTH header (x-secret-key) AND query parameter (?key=...)
-app.get('/setup-telegram', async (req, res) => {
-  // Check for secret key in header OR query parameter
-  const secretKey = req.headers['x-secret-key'] || req.query.key;
-  
-  if (secretKey !== process.env.SECRET_KEY) {
-    return res.status(401).json({ 
-      error: 'Unauthorized',
-      hint: 'Provide secret key via header (x-secret-key) or query parameter (?key=...)'
+app.get('/setup-telegram', requireScope('admin'), async (req, res) => {
+  if (telegramMode === 'polling') {
+    return res.status(409).json({
+      success: false,
+      error: 'TELEGRAM_MODE is polling, so no webhook is used',
+      hint: 'Unset TELEGRAM_MODE (or set it to webhook) and restart to switch back'
     });
   }
 
@@ -85,11 +216,17 @@ app.get('/setup-telegram', async (req, res) => {
 });
 
 // Get queue status endpoint
-app.get('/status', async (req, res) => {
+app.get('/status', requireScope('read-status'), async (req, res) => {
   try {
     const status = await getQueueStatus();
+    const next = scheduler.getNextRun();
     res.json({
       ...status,
+      scheduler: {
+        nextRun: next ? next.nextRun : null,
+        nextSchedule: next ? next.name : null,
+        schedules: scheduler.getSchedules()
+      },
       message: 'Queue status retrieved successfully'
     });
   } catch (error) {
@@ -100,8 +237,309 @@ app.get('/status', async (req, res) => {
   }
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', requireScope('read-status'), async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.getMetrics());
+  } catch (error) {
+    res.status(500).send(`# Error collecting metrics: ${error.message}\n`);
+  }
+});
+
+// Run history, newest first (?limit=20&trigger=cron|bot|http)
+app.get('/runs', requireScope('read-status'), async (req, res) => {
+  try {
+    const runs = await runHistory.listRuns({
+      limit: parseInt(req.query.limit, 10) || 20,
+      trigger: req.query.trigger || null
+    });
+    res.json({ runs: runs, count: runs.length, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Live progress as Server-Sent Events: "start", "progress" and "finish" events
+// carry a JSON snapshot. The stream stays open across runs.
+app.get('/runs/current/stream', requireScope('read-status'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const current = getProgress();
+  send(current && current.status === 'running' ? 'progress' : 'idle', current);
+
+  const listeners = {
+    start: data => send('start', data),
+    progress: data => send('progress', data),
+    finish: data => send('finish', data)
+  };
+  Object.entries(listeners).forEach(([event, listener]) => progressEvents.on(event, listener));
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    Object.entries(listeners).forEach(([event, listener]) => progressEvents.off(event, listener));
+  });
+});
+
+app.get('/runs/current', requireScope('read-status'), async (req, res) => {
+  try {
+    const active = await runLock.getActiveRun();
+    const current = getProgress();
+    res.json({
+      running: !!active,
+      runId: active ? active.runId : null,
+      trigger: active ? active.trigger : null,
+      cancelRequested: active ? active.cancelRequested : false,
+      // Progress is only tracked on the instance doing the work
+      progress: active && !active.local ? null : current
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Cooperative cancel: the run stops after its current batch and queues the rest
+app.post('/runs/current/cancel', requireScope('trigger-update'), async (req, res) => {
+  try {
+    const run = await runLock.requestCancel();
+    if (!run) {
+      return res.status(404).json({ error: 'No update is running', timestamp: new Date().toISOString() });
+    }
+    res.json({
+      status: 'cancelling',
+      runId: run.runId,
+      message: run.local
+        ? 'The run stops after its current batch'
+        : 'The run is on another instance and stops at its next lock heartbeat',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/runs/:id', requireScope('read-status'), async (req, res) => {
+  try {
+    const run = await runHistory.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found', runId: req.params.id });
+    }
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ 
+      error: error.message,
+      runId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Full report of a stored run: every failure, not just the first few the
+// Telegram report lists
+app.get('/runs/:id/report.:format', requireScope('read-status'), async (req, res) => {
+  const format = req.params.format;
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(404).json({ error: 'Report format must be json or csv', runId: req.params.id });
+  }
+
+  try {
+    const run = await runHistory.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found', runId: req.params.id });
+    }
+
+    const report = runReport.fromRun(run);
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${runReport.csvFilename(report)}"`);
+      return res.send(runReport.toCsv(report));
+    }
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ 
+      error: error.message,
+      runId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Undo every URL change a run made (rows changed since are left alone)
+app.post('/runs/:id/rollback', requireScope('admin'), async (req, res) => {
+  try {
+    const result = await rollbackRun(req.params.id);
+    res.json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ 
+      error: error.message,
+      runId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// URL change history for a single row
+app.get('/urls/:table/:rowId/history', requireScope('read-status'), async (req, res) => {
+  try {
+    const history = await urlAudit.getRowHistory(req.params.table, req.params.rowId);
+    res.json({
+      table: req.params.table,
+      rowId: req.params.rowId,
+      history: history,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Undo the most recent refresh of a single row
+app.post('/urls/:table/:rowId/rollback', requireScope('admin'), async (req, res) => {
+  try {
+    const result = await rollbackRow(req.params.table, req.params.rowId);
+    res.json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Rows triage gave up on (or that are on their way there) for review
+app.get('/triage', requireScope('read-status'), async (req, res) => {
+  try {
+    const status = req.query.status || 'unavailable';
+    const entries = await videoTriage.listEntries({
+      status,
+      tableName: req.query.table || null,
+      limit: parseInt(req.query.limit || '50', 10)
+    });
+    res.json({
+      status,
+      threshold: videoTriage.FAILURE_THRESHOLD,
+      count: entries.length,
+      entries,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Puts an unavailable row back into scans as it is
+app.post('/triage/:table/:rowId/enable', requireScope('admin'), async (req, res) => {
+  try {
+    const result = await videoTriage.reenable(req.params.table, req.params.rowId, req.apiKey);
+    res.json({ status: 'enabled', ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Gives an unavailable row a new Facebook video ID and refreshes it right away
+app.post('/triage/:table/:rowId/replace', requireScope('admin'), async (req, res) => {
+  const videoId = req.body && req.body.videoId;
+  if (!videoId) {
+    return res.status(400).json({
+      error: 'Missing "videoId" in request body',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const result = await videoTriage.replaceVideo(req.params.table, req.params.rowId, videoId, req.apiKey);
+    res.json({ status: 'replaced', ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Facebook token health: expiry, scopes and the page token pool
+app.get('/tokens', requireScope('admin'), async (req, res) => {
+  try {
+    const health = await tokenManager.checkTokenHealth();
+    res.json({ ...health, pagePool: tokenManager.getPagePool() });
+  } catch (error) {
+    res.status(500).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Exchange a short-lived user token for a long-lived one and start using it.
+// The returned token still has to be saved as FACEBOOK_ACCESS_TOKEN.
+app.post('/tokens/exchange', requireScope('admin'), async (req, res) => {
+  try {
+    const result = await tokenManager.exchangeForLongLivedToken(req.body && req.body.token);
+    const info = await tokenManager.inspectToken(result.accessToken);
+    await tokenManager.loadPageTokens();
+    res.json({
+      ...result,
+      token: info,
+      pagePool: tokenManager.getPagePool(),
+      nextStep: 'Save accessToken as FACEBOOK_ACCESS_TOKEN, otherwise it is lost on restart',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(400).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// API keys (names and scopes only) and auth failures per key
+app.get('/auth/keys', requireScope('admin'), (req, res) => {
+  res.json({
+    keys: apiAuth.getApiKeys(),
+    failures: apiAuth.getAuthFailures(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/notifiers', requireScope('admin'), (req, res) => {
+  res.json({
+    channels: notifiers.getNotifiers(),
+    events: notifiers.EVENT_FILTERS,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Manual test endpoint for debugging specific video
-app.get('/test-video/:videoId', async (req, res) => {
+app.get('/test-video/:videoId', requireScope('test-video'), async (req, res) => {
   try {
     const result = await testFacebookVideo(req.params.videoId);
     res.json({
@@ -124,18 +562,35 @@ app.use((req, res) => {
     error: 'Endpoint not found',
     availableEndpoints: {
       healthCheck: 'GET /',
-      updateUrls: 'POST /update-urls (requires x-secret-key header)',
-      telegramWebhook: 'POST /telegram-webhook (Telegram only)',
-      setupTelegram: 'GET /setup-telegram (requires x-secret-key header or ?key= parameter)',
-      status: 'GET /status',
-      testVideo: 'GET /test-video/:videoId'
+      updateUrls: 'POST /update-urls (scope trigger-update, ?dryRun=true&resolve=true to simulate)',
+      telegramWebhook: 'POST /telegram-webhook (Telegram only, verified by secret token)',
+      setupTelegram: 'GET /setup-telegram (scope admin)',
+      status: 'GET /status (scope read-status)',
+      metrics: 'GET /metrics (scope read-status, Prometheus format)',
+      runs: 'GET /runs (scope read-status)',
+      currentRun: 'GET /runs/current (scope read-status)',
+      currentRunStream: 'GET /runs/current/stream (scope read-status, Server-Sent Events)',
+      cancelRun: 'POST /runs/current/cancel (scope trigger-update)',
+      run: 'GET /runs/:id (scope read-status)',
+      runReport: 'GET /runs/:id/report.json or /runs/:id/report.csv (scope read-status)',
+      rollbackRun: 'POST /runs/:id/rollback (scope admin)',
+      urlHistory: 'GET /urls/:table/:rowId/history (scope read-status)',
+      rollbackRow: 'POST /urls/:table/:rowId/rollback (scope admin)',
+      triage: 'GET /triage?status=unavailable (scope read-status)',
+      enableRow: 'POST /triage/:table/:rowId/enable (scope admin)',
+      replaceVideo: 'POST /triage/:table/:rowId/replace (scope admin, body: {"videoId": "..."})',
+      tokens: 'GET /tokens (scope admin)',
+      exchangeToken: 'POST /tokens/exchange (scope admin, body: {"token": "..."})',
+      authKeys: 'GET /auth/keys (scope admin)',
+      notifiers: 'GET /notifiers (scope admin)',
+      testVideo: 'GET /test-video/:videoId (scope test-video)'
     }
   });
 });
 
 // Error handler
 app.use((err, req, res, next) => {
-  console.error('Server error:', err);
+  log.error('Server error', { method: req.method, path: req.path, error: err });
   res.status(500).json({
     error: 'Internal server error',
     message: err.message
@@ -144,23 +599,56 @@ app.use((err, req, res, next) => {
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`========================================`);
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Health check: http://localhost:${PORT}/`);
-  console.log(`Update endpoint: POST http://localhost:${PORT}/update-urls`);
-  console.log(`Telegram: ${process.env.TELEGRAM_BOT_TOKEN ? 'Enabled ✅' : 'Disabled ❌'}`);
-  console.log(`Configured for 24-hour update cycle`);
-  console.log(`========================================`);
+  log.info('Server running', {
+    port: PORT,
+    environment: process.env.NODE_ENV || 'development',
+    storage: storageAdapter.name,
+    tables: tables.map(t => t.name),
+    apiKeys: apiKeys.map(k => `${k.name} (${k.scopes.join(', ')})`),
+    telegram: process.env.TELEGRAM_BOT_TOKEN ? telegramMode : 'disabled',
+    notifiers: notificationChannels.map(c => `${c.name} (${c.type}: ${c.events.join(', ')})`),
+    scheduler: schedules.length > 0 ? 'enabled' : 'disabled'
+  });
+  if (apiKeys.length === 0) {
+    log.warn('No API keys configured, protected endpoints refuse every request');
+  }
+  schedules.forEach(s => {
+    log.info('Schedule', { schedule: s.name, cron: s.cron, timezone: s.timezone, mode: s.mode, nextRun: s.nextRun });
+  });
+
+  if (telegramMode === 'polling') {
+    telegramPolling.startPolling()
+      .catch(error => log.error('Could not start Telegram polling', { error: error.message }));
+  }
+
+  tokenManager.loadPageTokens()
+    .then(pool => {
+      if (pool.length > 0) log.info('Page token pool loaded', { pages: pool.length });
+      return checkFacebookTokens();
+    })
+    .catch(error => log.error('Page token setup failed', { error: error.message }));
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  process.exit(0);
-});
+// A run this instance holds would otherwise keep other instances out until
+// its lock expires, and leave its history row 'running'
+let shuttingDown = false;
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully...');
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  log.info(`${signal} received, shutting down gracefully`);
+  scheduler.stopScheduler();
+  telegramPolling.stopPolling();
+  try {
+    await stopActiveRun(SHUTDOWN_TIMEOUT_MS);
+  } catch (error) {
+    log.error('Error stopping the active run', { error: error.message });
+  }
+  await runLock.releaseRunLock();
   process.exit(0);
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,135 @@
+// Shared helpers for the `where` conditions every adapter understands:
+//   { column, op, value, not }   op: eq, neq, gt, gte, lt, lte, like, ilike, is, in
+//   { or: [condition, ...] }
+
+const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'is', 'in'];
+
+function inValues(value) {
+  if (Array.isArray(value)) return value;
+  // PostgREST style "(a,b,c)"
+  return String(value).replace(/^\(|\)$/g, '').split(',').map(v => v.trim());
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Builds a SQL WHERE clause. placeholder(n) returns the n-th (1-based) bind marker.
+function buildWhereSql(where = [], placeholder, options = {}) {
+  const params = [];
+
+  function bind(value) {
+    params.push(value);
+    return placeholder(params.length);
+  }
+
+  function build(condition) {
+    if (condition.or) {
+      return `(${condition.or.map(build).join(' OR ')})`;
+    }
+
+    if (!OPERATORS.includes(condition.op)) {
+      throw new Error(`Unsupported operator: ${condition.op}`);
+    }
+
+    const column = quoteIdentifier(condition.column);
+    const value = condition.value;
+    let sql;
+
+    switch (condition.op) {
+      case 'eq':
+        sql = value === null ? `${column} IS NULL` : `${column} = ${bind(value)}`;
+        break;
+      case 'neq':
+        sql = value === null ? `${column} IS NOT NULL` : `${column} <> ${bind(value)}`;
+        break;
+      case 'gt': sql = `${column} > ${bind(value)}`; break;
+      case 'gte': sql = `${column} >= ${bind(value)}`; break;
+      case 'lt': sql = `${column} < ${bind(value)}`; break;
+      case 'lte': sql = `${column} <= ${bind(value)}`; break;
+      case 'like': sql = `${column} LIKE ${bind(value)}`; break;
+      case 'ilike':
+        sql = `${column} ${options.ilike || 'ILIKE'} ${bind(value)}`;
+        break;
+      case 'is':
+        if (value === null || value === 'null') sql = `${column} IS NULL`;
+        else if (value === true || value === 'true') sql = `${column} IS TRUE`;
+        else sql = `${column} IS FALSE`;
+        break;
+      case 'in':
+        sql = `${column} IN (${inValues(value).map(bind).join(', ')})`;
+        break;
+    }
+
+    return condition.not ? `NOT (${sql})` : sql;
+  }
+
+  const clauses = where.map(build);
+  return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+function buildOrderSql(orderBy = []) {
+  if (orderBy.length === 0) return '';
+  return `ORDER BY ${orderBy.map(o => `${quoteIdentifier(o.column)} ${o.ascending === false ? 'DESC' : 'ASC'}`).join(', ')}`;
+}
+
+function compare(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && !isNaN(na) && !isNaN(nb)) return na - nb;
+  return String(a).localeCompare(String(b));
+}
+
+function likeToRegExp(pattern, flags) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, flags);
+}
+
+// In-memory evaluation, used by the memory adapter
+function matches(row, condition) {
+  if (condition.or) {
+    return condition.or.some(c => matches(row, c));
+  }
+
+  const actual = row[condition.column];
+  const value = condition.value;
+  const present = actual !== null && actual !== undefined;
+  let result;
+
+  switch (condition.op) {
+    case 'eq': result = value === null ? !present : present && String(actual) === String(value); break;
+    case 'neq': result = value === null ? present : present && String(actual) !== String(value); break;
+    case 'gt': result = present && compare(actual, value) > 0; break;
+    case 'gte': result = present && compare(actual, value) >= 0; break;
+    case 'lt': result = present && compare(actual, value) < 0; break;
+    case 'lte': result = present && compare(actual, value) <= 0; break;
+    case 'like': result = present && likeToRegExp(value).test(String(actual)); break;
+    case 'ilike': result = present && likeToRegExp(value, 'i').test(String(actual)); break;
+    case 'is':
+      if (value === null || value === 'null') result = !present;
+      else result = actual === (value === true || value === 'true');
+      break;
+    case 'in': result = present && inValues(value).map(String).includes(String(actual)); break;
+    default: throw new Error(`Unsupported operator: ${condition.op}`);
+  }
+
+  return condition.not ? !result : result;
+}
+
+function sortRows(rows, orderBy = []) {
+  return rows.slice().sort((a, b) => {
+    for (const order of orderBy) {
+      const av = a[order.column];
+      const bv = b[order.column];
+      if (av === bv) continue;
+      // NULLS LAST, like Postgres ascending order
+      if (av === null || av === undefined) return 1;
+      if (bv === null || bv === undefined) return -1;
+      const diff = compare(av, bv);
+      if (diff !== 0) return order.ascending === false ? -diff : diff;
+    }
+    return 0;
+  });
+}
+
+module.exports = { OPERATORS, quoteIdentifier, buildWhereSql, buildOrderSql, matches, sortRows, inValues };
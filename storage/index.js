@@ -0,0 +1,51 @@
+// Storage interface used by the updater. Every adapter implements:
+//   select(table, { columns, where, orderBy, limit }) -> rows
+//   insert(table, row) -> inserted row (with id)
+//   update(table, where, fields)
+//   count(table, where) -> number
+//   close()
+// `where` is an array of conditions, see ./conditions.js.
+const { createSupabaseAdapter } = require('./supabaseAdapter');
+const { createPostgresAdapter } = require('./postgresAdapter');
+const { createSqliteAdapter } = require('./sqliteAdapter');
+const { createMemoryAdapter } = require('./memoryAdapter');
+
+const ADAPTERS = {
+  supabase: createSupabaseAdapter,
+  postgres: createPostgresAdapter,
+  sqlite: createSqliteAdapter,
+  memory: createMemoryAdapter
+};
+
+let adapter = null;
+
+function initStorage(name = process.env.STORAGE || 'supabase', options = {}) {
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE "${name}" (expected one of ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+
+  adapter = factory(options);
+  return adapter;
+}
+
+// Lets tests and scripts plug in their own adapter
+function setStorage(customAdapter) {
+  adapter = customAdapter;
+}
+
+function getStorage() {
+  if (!adapter) initStorage();
+  return adapter;
+}
+
+module.exports = {
+  initStorage,
+  setStorage,
+  getStorage,
+  select: (...args) => getStorage().select(...args),
+  insert: (...args) => getStorage().insert(...args),
+  update: (...args) => getStorage().update(...args),
+  count: (...args) => getStorage().count(...args),
+  close: () => (adapter ? adapter.close() : Promise.resolve())
+};
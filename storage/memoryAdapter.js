@@ -0,0 +1,74 @@
+const fs = require('fs');
+const { matches, sortRows } = require('./conditions');
+
+// Keeps everything in process memory. Handy for local runs and experiments;
+// seed content tables with MEMORY_SEED_FILE ({ "episodes": [ ... ], ... }).
+function createMemoryAdapter(options = {}) {
+  const tables = {};
+  const sequences = {};
+
+  let seed = options.seed || null;
+  const seedFile = options.seedFile || process.env.MEMORY_SEED_FILE;
+  if (!seed && seedFile) {
+    seed = JSON.parse(fs.readFileSync(seedFile, 'utf8'));
+  }
+
+  function rowsOf(table) {
+    if (!tables[table]) tables[table] = [];
+    return tables[table];
+  }
+
+  function nextId(table) {
+    if (!sequences[table]) {
+      sequences[table] = rowsOf(table).reduce((max, row) => Math.max(max, Number(row.id) || 0), 0);
+    }
+    sequences[table]++;
+    return sequences[table];
+  }
+
+  function filter(table, where = []) {
+    return rowsOf(table).filter(row => where.every(condition => matches(row, condition)));
+  }
+
+  function pick(row, columns) {
+    if (columns === '*' || !columns) return { ...row };
+    const list = Array.isArray(columns) ? columns : columns.split(',').map(c => c.trim());
+    const picked = {};
+    list.forEach(c => { picked[c] = row[c] === undefined ? null : row[c]; });
+    return picked;
+  }
+
+  Object.entries(seed || {}).forEach(([table, rows]) => {
+    tables[table] = rows.map(row => ({ ...row }));
+  });
+
+  return {
+    name: 'memory',
+    tables,
+
+    async select(table, { columns = '*', where = [], orderBy = [], limit = null } = {}) {
+      let rows = sortRows(filter(table, where), orderBy);
+      if (limit) rows = rows.slice(0, limit);
+      return rows.map(row => pick(row, columns));
+    },
+
+    async insert(table, row) {
+      const stored = { created_at: new Date().toISOString(), ...row };
+      if (stored.id === undefined) stored.id = nextId(table);
+      rowsOf(table).push(stored);
+      return { ...stored };
+    },
+
+    async update(table, where, fields) {
+      filter(table, where).forEach(row => Object.assign(row, fields));
+    },
+
+    async count(table, where = []) {
+      return filter(table, where).length;
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryAdapter };
@@ -0,0 +1,79 @@
+const { quoteIdentifier, buildWhereSql, buildOrderSql } = require('./conditions');
+
+function createPostgresAdapter(options = {}) {
+  let Pool;
+  try {
+    ({ Pool } = require('pg'));
+  } catch (error) {
+    throw new Error('The postgres storage adapter needs the "pg" package (npm install pg)');
+  }
+
+  const connectionString = options.connectionString || process.env.DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('DATABASE_URL is required for the postgres storage adapter');
+  }
+
+  const pool = new Pool({
+    connectionString,
+    ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+  });
+  const placeholder = n => `$${n}`;
+
+  function columnList(columns) {
+    if (columns === '*' || !columns) return '*';
+    const list = Array.isArray(columns) ? columns : columns.split(',').map(c => c.trim());
+    return list.map(quoteIdentifier).join(', ');
+  }
+
+  return {
+    name: 'postgres',
+
+    async select(table, { columns = '*', where = [], orderBy = [], limit = null } = {}) {
+      const whereSql = buildWhereSql(where, placeholder);
+      const sql = [
+        `SELECT ${columnList(columns)} FROM ${quoteIdentifier(table)}`,
+        whereSql.sql,
+        buildOrderSql(orderBy),
+        limit ? `LIMIT ${parseInt(limit, 10)}` : ''
+      ].filter(Boolean).join(' ');
+
+      const { rows } = await pool.query(sql, whereSql.params);
+      return rows;
+    },
+
+    async insert(table, row) {
+      const columns = Object.keys(row);
+      const sql = `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) ` +
+        `VALUES (${columns.map((c, i) => placeholder(i + 1)).join(', ')}) RETURNING *`;
+
+      const { rows } = await pool.query(sql, columns.map(c => row[c]));
+      return rows[0];
+    },
+
+    async update(table, where, fields) {
+      const columns = Object.keys(fields);
+      const sets = columns.map((c, i) => `${quoteIdentifier(c)} = ${placeholder(i + 1)}`);
+      const whereSql = buildWhereSql(where, n => placeholder(n + columns.length));
+
+      await pool.query(
+        `UPDATE ${quoteIdentifier(table)} SET ${sets.join(', ')} ${whereSql.sql}`,
+        [...columns.map(c => fields[c]), ...whereSql.params]
+      );
+    },
+
+    async count(table, where = []) {
+      const whereSql = buildWhereSql(where, placeholder);
+      const { rows } = await pool.query(
+        `SELECT COUNT(*)::int AS count FROM ${quoteIdentifier(table)} ${whereSql.sql}`,
+        whereSql.params
+      );
+      return rows[0].count;
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = { createPostgresAdapter };
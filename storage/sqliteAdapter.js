@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { quoteIdentifier, buildWhereSql, buildOrderSql } = require('./conditions');
+
+// The updater's own tables. Content tables (episodes, movies, ...) are yours to create.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS url_update_queue (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  table_name TEXT NOT NULL,
+  row_id TEXT NOT NULL,
+  facebook_video_id TEXT NOT NULL,
+  old_url TEXT,
+  video_title TEXT,
+  status TEXT DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TEXT,
+  error_message TEXT,
+  priority REAL DEFAULT 0,
+  runs_waited INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  processed_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_queue_status ON url_update_queue(status);
+CREATE INDEX IF NOT EXISTS idx_queue_priority ON url_update_queue(priority);
+
+CREATE TABLE IF NOT EXISTS update_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trigger TEXT NOT NULL,
+  mode TEXT NOT NULL,
+  status TEXT NOT NULL,
+  started_at TEXT NOT NULL,
+  finished_at TEXT,
+  total_checked INTEGER DEFAULT 0,
+  already_valid INTEGER DEFAULT 0,
+  expired INTEGER DEFAULT 0,
+  expiring_soon INTEGER DEFAULT 0,
+  skipped_not_expiring INTEGER DEFAULT 0,
+  updated INTEGER DEFAULT 0,
+  failed INTEGER DEFAULT 0,
+  queued INTEGER DEFAULT 0,
+  dead_lettered INTEGER DEFAULT 0,
+  api_calls_used INTEGER DEFAULT 0,
+  videos_resolved INTEGER DEFAULT 0,
+  updated_by_table TEXT,
+  failures TEXT,
+  error_message TEXT
+);
+
+CREATE TABLE IF NOT EXISTS url_change_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id INTEGER,
+  table_name TEXT NOT NULL,
+  row_id TEXT NOT NULL,
+  facebook_video_id TEXT,
+  old_url TEXT,
+  new_url TEXT,
+  source TEXT NOT NULL DEFAULT 'refresh',
+  changed_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  rolled_back_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_change_log_row ON url_change_log(table_name, row_id);
+
+CREATE TABLE IF NOT EXISTS run_lock (
+  name TEXT PRIMARY KEY,
+  owner TEXT,
+  run_id INTEGER,
+  trigger TEXT,
+  acquired_at TEXT,
+  expires_at TEXT,
+  cancel_requested_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS video_triage (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  table_name TEXT NOT NULL,
+  row_id TEXT NOT NULL,
+  facebook_video_id TEXT,
+  video_title TEXT,
+  status TEXT NOT NULL DEFAULT 'failing',
+  consecutive_failures INTEGER DEFAULT 0,
+  last_error TEXT,
+  last_error_message TEXT,
+  first_failed_at TEXT,
+  last_failed_at TEXT,
+  unavailable_at TEXT,
+  reviewed_at TEXT,
+  reviewed_by TEXT,
+  UNIQUE (table_name, row_id)
+);
+CREATE INDEX IF NOT EXISTS idx_triage_status ON video_triage(status);
+
+CREATE TABLE IF NOT EXISTS app_state (
+  key TEXT PRIMARY KEY,
+  value TEXT,
+  updated_at TEXT
+);
+`;
+
+// SQLite has no JSON type; these columns are stored as text and parsed on read
+const JSON_COLUMNS = {
+  update_runs: ['updated_by_table', 'failures']
+};
+
+function toSqlite(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  // better-sqlite3 binds plain numbers as REAL, which TEXT columns store as "5.0"
+  if (Number.isInteger(value)) return BigInt(value);
+  if (value instanceof Date) return value.toISOString();
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+function fromSqlite(table, row) {
+  if (!row) return row;
+  (JSON_COLUMNS[table] || []).forEach(column => {
+    if (typeof row[column] === 'string') {
+      try {
+        row[column] = JSON.parse(row[column]);
+      } catch (error) {
+        // leave as text
+      }
+    }
+  });
+  return row;
+}
+
+function createSqliteAdapter(options = {}) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The sqlite storage adapter needs the "better-sqlite3" package (npm install better-sqlite3)');
+  }
+
+  const filename = options.filename || process.env.SQLITE_PATH || './data/updater.db';
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const placeholder = () => '?';
+  const sqlOptions = { ilike: 'LIKE' };
+
+  function columnList(columns) {
+    if (columns === '*' || !columns) return '*';
+    const list = Array.isArray(columns) ? columns : columns.split(',').map(c => c.trim());
+    return list.map(quoteIdentifier).join(', ');
+  }
+
+  return {
+    name: 'sqlite',
+    db,
+
+    async select(table, { columns = '*', where = [], orderBy = [], limit = null } = {}) {
+      const whereSql = buildWhereSql(where, placeholder, sqlOptions);
+      const sql = [
+        `SELECT ${columnList(columns)} FROM ${quoteIdentifier(table)}`,
+        whereSql.sql,
+        buildOrderSql(orderBy),
+        limit ? `LIMIT ${parseInt(limit, 10)}` : ''
+      ].filter(Boolean).join(' ');
+
+      return db.prepare(sql).all(whereSql.params.map(toSqlite)).map(row => fromSqlite(table, row));
+    },
+
+    async insert(table, row) {
+      const columns = Object.keys(row);
+      const sql = `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) ` +
+        `VALUES (${columns.map(() => '?').join(', ')}) RETURNING *`;
+
+      return fromSqlite(table, db.prepare(sql).get(columns.map(c => toSqlite(row[c]))));
+    },
+
+    async update(table, where, fields) {
+      const columns = Object.keys(fields);
+      const whereSql = buildWhereSql(where, placeholder, sqlOptions);
+      const sql = `UPDATE ${quoteIdentifier(table)} SET ${columns.map(c => `${quoteIdentifier(c)} = ?`).join(', ')} ${whereSql.sql}`;
+
+      db.prepare(sql).run([...columns.map(c => toSqlite(fields[c])), ...whereSql.params.map(toSqlite)]);
+    },
+
+    async count(table, where = []) {
+      const whereSql = buildWhereSql(where, placeholder, sqlOptions);
+      const row = db.prepare(`SELECT COUNT(*) AS count FROM ${quoteIdentifier(table)} ${whereSql.sql}`)
+        .get(whereSql.params.map(toSqlite));
+      return row.count;
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteAdapter, SCHEMA };
@@ -0,0 +1,82 @@
+const { createClient } = require('@supabase/supabase-js');
+const { inValues } = require('./conditions');
+
+// PostgREST filter value for .or() strings; quoted so dots, commas and colons survive
+function orValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return `(${value.map(v => `"${v}"`).join(',')})`;
+  return `"${String(value).replace(/"/g, '\\"')}"`;
+}
+
+function orCondition(condition) {
+  const value = condition.op === 'in' ? orValue(inValues(condition.value)) : orValue(condition.value);
+  return `${condition.column}.${condition.not ? 'not.' : ''}${condition.op}.${value}`;
+}
+
+function applyWhere(query, where = []) {
+  for (const condition of where) {
+    if (condition.or) {
+      query = query.or(condition.or.map(orCondition).join(','));
+      continue;
+    }
+
+    const value = condition.op === 'in' ? `(${inValues(condition.value).join(',')})` : condition.value;
+    if (condition.op === 'eq' && value === null) {
+      query = condition.not ? query.not(condition.column, 'is', null) : query.is(condition.column, null);
+    } else {
+      query = condition.not
+        ? query.not(condition.column, condition.op, value)
+        : query.filter(condition.column, condition.op, value);
+    }
+  }
+  return query;
+}
+
+function createSupabaseAdapter(options = {}) {
+  const url = options.url || process.env.SUPABASE_URL;
+  const key = options.key || process.env.SUPABASE_KEY;
+  if (!url || !key) {
+    throw new Error('SUPABASE_URL and SUPABASE_KEY are required for the supabase storage adapter');
+  }
+
+  const supabase = createClient(url, key);
+
+  return {
+    name: 'supabase',
+
+    async select(table, { columns = '*', where = [], orderBy = [], limit = null } = {}) {
+      let query = supabase.from(table).select(Array.isArray(columns) ? columns.join(', ') : columns);
+      query = applyWhere(query, where);
+      orderBy.forEach(o => { query = query.order(o.column, { ascending: o.ascending !== false }); });
+      if (limit) query = query.limit(limit);
+
+      const { data, error } = await query;
+      if (error) throw new Error(error.message);
+      return data || [];
+    },
+
+    async insert(table, row) {
+      const { data, error } = await supabase.from(table).insert(row).select().single();
+      if (error) throw new Error(error.message);
+      return data;
+    },
+
+    async update(table, where, fields) {
+      const { error } = await applyWhere(supabase.from(table).update(fields), where);
+      if (error) throw new Error(error.message);
+    },
+
+    async count(table, where = []) {
+      const { count, error } = await applyWhere(
+        supabase.from(table).select('*', { count: 'exact', head: true }),
+        where
+      );
+      if (error) throw new Error(error.message);
+      return count || 0;
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createSupabaseAdapter };
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { OPERATORS } = require('./storage/conditions');
+const { ASSET_KINDS } = require('./facebookGraph');
+
+// Used when neither TABLES_CONFIG nor TABLES_CONFIG_FILE is set
+const DEFAULT_TABLES = [
+  {
+    name: 'episodes',
+    label: 'Episodes',
+    emoji: '🎬',
+    idColumn: 'id',
+    titleColumn: 'title',
+    videoUrlColumn: 'video_url',
+    videoIdColumn: 'facebook_video_id',
+    expiresAtColumn: null,
+    statusColumn: null,
+    popularityColumn: null,
+    releasedAtColumn: null,
+    assetColumns: {},
+    filters: []
+  },
+  {
+    name: 'movies',
+    label: 'Movies',
+    emoji: '🎥',
+    idColumn: 'id',
+    titleColumn: 'title',
+    videoUrlColumn: 'videoUrl',
+    videoIdColumn: 'facebookVideoId',
+    expiresAtColumn: null,
+    statusColumn: null,
+    popularityColumn: null,
+    releasedAtColumn: null,
+    assetColumns: {},
+    filters: []
+  }
+];
+
+const FILTER_OPERATORS = OPERATORS;
+const REQUIRED_COLUMNS = ['videoUrlColumn', 'videoIdColumn'];
+const OPTIONAL_COLUMNS = ['expiresAtColumn', 'statusColumn', 'popularityColumn', 'releasedAtColumn'];
+
+let tables = null;
+
+function readRawConfig() {
+  if (process.env.TABLES_CONFIG) {
+    try {
+      return JSON.parse(process.env.TABLES_CONFIG);
+    } catch (error) {
+      throw new Error(`TABLES_CONFIG is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (process.env.TABLES_CONFIG_FILE) {
+    const filePath = path.resolve(process.env.TABLES_CONFIG_FILE);
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read table config from ${filePath}: ${error.message}`);
+    }
+  }
+
+  return DEFAULT_TABLES;
+}
+
+function isColumnMap(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(column => column && typeof column === 'string');
+}
+
+// { thumbnail, picture, length: column, posterFormats: { <format filter>: column } }
+function validateAssetColumns(assetColumns, where) {
+  if (!assetColumns || typeof assetColumns !== 'object' || Array.isArray(assetColumns)) {
+    throw new Error(`${where}: assetColumns must be an object`);
+  }
+
+  for (const [kind, column] of Object.entries(assetColumns)) {
+    if (!ASSET_KINDS.includes(kind)) {
+      throw new Error(`${where}: assetColumns.${kind} is not one of ${ASSET_KINDS.join(', ')}`);
+    }
+    if (kind === 'posterFormats' ? !isColumnMap(column) : !column || typeof column !== 'string') {
+      throw new Error(`${where}: assetColumns.${kind} must be ${kind === 'posterFormats' ? 'an object of format filter to column name' : 'a column name'}`);
+    }
+  }
+
+  return { ...assetColumns };
+}
+
+function validateTable(table, index) {
+  const where = `tables[${index}]`;
+
+  if (!table || typeof table !== 'object') {
+    throw new Error(`${where} must be an object`);
+  }
+  if (!table.name || typeof table.name !== 'string') {
+    throw new Error(`${where}.name is required`);
+  }
+
+  for (const key of REQUIRED_COLUMNS) {
+    if (!table[key] || typeof table[key] !== 'string') {
+      throw new Error(`${where} (${table.name}): ${key} is required`);
+    }
+  }
+
+  for (const key of OPTIONAL_COLUMNS) {
+    if (table[key] !== undefined && table[key] !== null && typeof table[key] !== 'string') {
+      throw new Error(`${where} (${table.name}): ${key} must be a column name`);
+    }
+  }
+
+  const assetColumns = validateAssetColumns(table.assetColumns || {}, `${where} (${table.name})`);
+
+  const filters = table.filters || [];
+  if (!Array.isArray(filters)) {
+    throw new Error(`${where} (${table.name}): filters must be an array`);
+  }
+
+  filters.forEach((filter, i) => {
+    if (!filter || !filter.column || !filter.op) {
+      throw new Error(`${where} (${table.name}): filters[${i}] needs column and op`);
+    }
+    if (!FILTER_OPERATORS.includes(filter.op)) {
+      throw new Error(`${where} (${table.name}): filters[${i}].op must be one of ${FILTER_OPERATORS.join(', ')}`);
+    }
+  });
+
+  return {
+    name: table.name,
+    label: table.label || table.name,
+    emoji: table.emoji || '📁',
+    idColumn: table.idColumn || 'id',
+    titleColumn: table.titleColumn || 'title',
+    videoUrlColumn: table.videoUrlColumn,
+    videoIdColumn: table.videoIdColumn,
+    expiresAtColumn: table.expiresAtColumn || null,
+    // Optional: set to unavailableValue when triage gives up on the row
+    statusColumn: table.statusColumn || null,
+    unavailableValue: table.unavailableValue !== undefined ? table.unavailableValue : 'unavailable',
+    availableValue: table.availableValue !== undefined ? table.availableValue : null,
+    // Optional priority signals (see refreshPriority.js)
+    popularityColumn: table.popularityColumn || null,
+    releasedAtColumn: table.releasedAtColumn || null,
+    assetColumns,
+    filters: filters.map(f => ({ column: f.column, op: f.op, value: f.value, not: !!f.not }))
+  };
+}
+
+function loadTableConfig() {
+  const raw = readRawConfig();
+  const list = Array.isArray(raw) ? raw : raw && raw.tables;
+
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('Table config must be a non-empty array (or an object with a "tables" array)');
+  }
+
+  const validated = list.map(validateTable);
+
+  const names = new Set();
+  for (const table of validated) {
+    if (names.has(table.name)) {
+      throw new Error(`Table "${table.name}" is configured more than once`);
+    }
+    names.add(table.name);
+  }
+
+  tables = validated;
+  return tables;
+}
+
+function getTables() {
+  if (!tables) loadTableConfig();
+  return tables;
+}
+
+function getTable(name) {
+  return getTables().find(t => t.name === name) || null;
+}
+
+// Asset kinds any table maps, i.e. what the resolver has to ask Graph for
+function getAssetKinds() {
+  const kinds = new Set();
+  getTables().forEach(table => Object.keys(table.assetColumns).forEach(kind => kinds.add(kind)));
+  return Array.from(kinds);
+}
+
+module.exports = { loadTableConfig, getTables, getTable, getAssetKinds, FILTER_OPERATORS };
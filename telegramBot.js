@@ -1,22 +1,116 @@
+const crypto = require('crypto');
 const axios = require('axios');
+const { createLogger } = require('./logger');
+
+const log = createLogger('telegramBot');
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const ALLOWED_CHAT_IDS = process.env.TELEGRAM_ADMIN_IDS ? 
   process.env.TELEGRAM_ADMIN_IDS.split(',').map(id => id.trim()) : [];
 
-let isProcessing = false;
-let lastUpdateInfo = null;
+// Telegram rate-limits edits, so the live progress message lags a little
+const PROGRESS_EDIT_INTERVAL_MS = parseInt(process.env.TELEGRAM_PROGRESS_INTERVAL_MS || '5000', 10);
+
+const ALLOWED_UPDATES = ['message', 'callback_query'];
+
+// Resolves to the sent message (for later edits), or null on failure
+async function sendMessage(chatId, text, parseMode = 'HTML', replyMarkup = null) {
+  try {
+    const response = await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
+      chat_id: chatId,
+      text: text,
+      parse_mode: parseMode,
+      ...(replyMarkup ? { reply_markup: replyMarkup } : {})
+    });
+    return response.data && response.data.result ? response.data.result : null;
+  } catch (error) {
+    log.error('Error sending Telegram message', { chatId, error: error.message });
+    return null;
+  }
+}
 
-async function sendMessage(chatId, text, parseMode = 'HTML') {
+// Replaces the text of a message the bot sent earlier, dropping its buttons
+// unless new ones are passed
+async function editMessage(chatId, messageId, text, replyMarkup = null) {
   try {
-    await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
+    await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/editMessageText`, {
       chat_id: chatId,
+      message_id: messageId,
       text: text,
-      parse_mode: parseMode
+      parse_mode: 'HTML',
+      reply_markup: replyMarkup || { inline_keyboard: [] }
+    });
+  } catch (error) {
+    log.error('Error editing Telegram message', { chatId, messageId, error: error.message });
+  }
+}
+
+// content is the file body (a string or Buffer); resolves to the sent
+// message, or null on failure
+async function sendDocument(chatId, filename, content, contentType, caption = null) {
+  try {
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    form.append('document', new Blob([content], { type: contentType }), filename);
+    if (caption) form.append('caption', caption);
+
+    const response = await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/sendDocument`, form);
+    return response.data && response.data.result ? response.data.result : null;
+  } catch (error) {
+    log.error('Error sending Telegram document', { chatId, filename, error: error.message });
+    return null;
+  }
+}
+
+// Every callback query has to be answered, or the button keeps spinning
+async function answerCallback(callbackId, text = null, showAlert = false) {
+  try {
+    await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/answerCallbackQuery`, {
+      callback_query_id: callbackId,
+      ...(text ? { text: text, show_alert: showAlert } : {})
     });
   } catch (error) {
-    console.error('Error sending Telegram message:', error.message);
+    log.error('Error answering callback query', { error: error.message });
+  }
+}
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Splits a message into a command and its arguments. Quoted arguments may
+// contain spaces, and the @BotName suffix Telegram adds in groups is dropped.
+function parseCommand(text) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
   }
+
+  const command = (tokens.shift() || '').toLowerCase().replace(/@\w+$/, '');
+  return { command, args: tokens };
+}
+
+// Telegram echoes this in X-Telegram-Bot-Api-Secret-Token on every webhook
+// call. Without TELEGRAM_WEBHOOK_SECRET it is derived from SECRET_KEY, so
+// setWebhook and the check agree across restarts.
+function getWebhookSecret() {
+  if (process.env.TELEGRAM_WEBHOOK_SECRET) return process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!process.env.SECRET_KEY) return null;
+  return crypto.createHash('sha256').update(`telegram-webhook:${process.env.SECRET_KEY}`).digest('hex');
+}
+
+function isValidWebhookSecret(headerValue) {
+  const secret = getWebhookSecret();
+  if (!secret || typeof headerValue !== 'string') return false;
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(headerValue);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
 }
 
 function isAuthorized(chatId) {
@@ -25,17 +119,22 @@ function isAuthorized(chatId) {
 }
 
 async function handleTelegramUpdate(update) {
+  if (update.callback_query) {
+    await handleCallbackQuery(update.callback_query);
+    return;
+  }
+
   if (!update.message || !update.message.text) return;
 
   const chatId = update.message.chat.id;
   const text = update.message.text.trim();
-  const command = text.split(' ')[0].toLowerCase();
+  const { command, args } = parseCommand(text);
 
-  console.log(`Telegram command: ${command} from chat ${chatId}`);
+  log.info('Telegram command', { command, chatId });
 
   if (!isAuthorized(chatId)) {
     await sendMessage(chatId, '❌ <b>Unauthorized</b>\n\nYou are not authorized to use this bot.');
-    console.log(`Unauthorized access attempt from: ${chatId}`);
+    log.warn('Unauthorized Telegram command', { command, chatId });
     return;
   }
 
@@ -44,7 +143,7 @@ async function handleTelegramUpdate(update) {
       await handleStart(chatId);
       break;
     case '/update':
-      await handleUpdateCommand(chatId);
+      await handleUpdateCommand(chatId, args);
       break;
     case '/status':
       await handleStatus(chatId);
@@ -55,6 +154,42 @@ async function handleTelegramUpdate(update) {
     case '/info':
       await handleInfo(chatId);
       break;
+    case '/history':
+      await handleHistory(chatId);
+      break;
+    case '/report':
+      await handleReport(chatId, args);
+      break;
+    case '/urlhistory':
+      await handleUrlHistory(chatId, args);
+      break;
+    case '/rollback':
+      await handleRollback(chatId, args);
+      break;
+    case '/token':
+      await handleToken(chatId);
+      break;
+    case '/cancel':
+      await handleCancel(chatId);
+      break;
+    case '/check':
+      await handleCheck(chatId, args);
+      break;
+    case '/refresh':
+      await handleRefresh(chatId, args);
+      break;
+    case '/find':
+      await handleFind(chatId, args);
+      break;
+    case '/triage':
+      await handleTriage(chatId, args);
+      break;
+    case '/enable':
+      await handleEnable(chatId, args);
+      break;
+    case '/replace':
+      await handleReplace(chatId, args);
+      break;
     default:
       await sendMessage(chatId, '❓ Unknown command. Type /help for available commands.');
   }
@@ -68,8 +203,19 @@ This bot helps you manage and update expired Facebook video URLs.
 
 <b>Available Commands:</b>
 /update - Check and update all expired URLs
+/update dryrun - Simulate an update without changes
+/cancel - Stop the running update
 /status - View queue status
 /info - Last update information
+/history - Recent runs
+/report - Full report of a run
+/urlhistory - URL changes of one row
+/check - Check one video
+/refresh - Refresh one row
+/find - Search videos by title
+/triage - Videos marked unavailable
+/rollback - Undo URL changes
+/token - Facebook token health
 /help - Show help
 
 Your Chat ID: <code>${chatId}</code>
@@ -80,110 +226,864 @@ Your Chat ID: <code>${chatId}</code>
   await sendMessage(chatId, message);
 }
 
-async function handleUpdateCommand(chatId) {
-  if (isProcessing) {
-    await sendMessage(chatId, '⚠️ <b>Update Already Running</b>\n\nAn update is already in progress. Please wait for it to complete.');
-    return;
-  }
+function alreadyRunningMessage(runId) {
+  return `⚠️ <b>Update Already Running</b>\n\n${runId ? `Run #${runId} is` : 'An update is'} in progress. Wait for it to finish, or stop it with /cancel.`;
+}
+
+async function handleUpdateCommand(chatId, args = []) {
+  const options = args.map(arg => arg.toLowerCase());
+  const dryRun = options.includes('dryrun');
+  const resolve = dryRun && options.includes('resolve');
+
+  try {
+    const { startUpdate } = require('./urlUpdater');
+    const start = await startUpdate({ trigger: 'bot', dryRun, resolve });
+
+    if (start.status === 'already_running') {
+      await sendMessage(chatId, alreadyRunningMessage(start.runId));
+      return;
+    }
+    if (!start.started) {
+      await sendMessage(chatId, `❌ <b>Update Error</b>\n\n<code>${escapeHtml(start.error)}</code>`);
+      return;
+    }
+
+    const follower = followProgress(chatId);
+    let started;
+    if (dryRun) {
+      started = await sendMessage(chatId, `🧪 <b>Dry Run Started!</b>\n\n🔍 Checking all video URLs without changing anything...${resolve ? '\n🔗 New URLs will be resolved (uses Graph API calls)' : ''}\n\n<i>You\'ll receive the simulated report when complete.</i>`);
+    } else {
+      started = await sendMessage(chatId, `🚀 <b>Update Started!</b>${start.runId ? ` (run #${start.runId})` : ''}\n\n🔍 Checking all video URLs...\n⏳ This message shows live progress\n\n<i>You\'ll receive a detailed report when complete. /cancel stops the run.</i>`);
+    }
+    if (started) {
+      follower.attach(started.message_id);
+    } else {
+      follower.stop();
+    }
 
-  isProcessing = true;
+    let result;
+    try {
+      result = await start.done;
+    } finally {
+      follower.stop();
+    }
+
+    if (result.status === 'cancelled') {
+      await sendMessage(chatId, `⏹️ <b>Update Cancelled</b>${result.runId ? ` (run #${result.runId})` : ''}\n\nUnfinished refreshes were queued for the next run.`);
+    } else if (result.status !== 'completed') {
+      await sendMessage(chatId, `❌ <b>Update Error</b>\n\n<code>${escapeHtml(result.error)}</code>\n\nPlease check Render logs for details.`);
+    } else if (dryRun) {
+      await sendMessage(chatId, result.report);
+    } else {
+      await sendMessage(chatId, `✅ <b>Update Completed!</b>\n\nCheck the detailed report above for results.${result.runId ? `\n\n🆔 Run #${result.runId}` : ''}`);
+    }
 
-  await sendMessage(chatId, '🚀 <b>Update Started!</b>\n\n🔍 Checking all video URLs...\n⏳ This may take 1-5 minutes\n\n<i>You\'ll receive a detailed report when complete.</i>');
+  } catch (error) {
+    log.error('Error during update', { chatId, error });
+    await sendMessage(chatId, `❌ <b>Update Error</b>\n\n<code>${escapeHtml(error.message)}</code>\n\nPlease check Render logs for details.`);
+  }
+}
 
+async function handleCancel(chatId) {
   try {
-    const { processUrlUpdates } = require('./urlUpdater');
-    await processUrlUpdates();
-    
-    lastUpdateInfo = {
-      timestamp: new Date().toISOString(),
-      success: true
-    };
+    const { requestCancel } = require('./runLock');
+    const run = await requestCancel();
 
-    await sendMessage(chatId, '✅ <b>Update Completed!</b>\n\nCheck the detailed report above for results.');
+    if (!run) {
+      await sendMessage(chatId, '💤 No update is running.');
+      return;
+    }
 
+    await sendMessage(chatId, `⏹️ <b>Cancelling${run.runId ? ` run #${run.runId}` : ''}...</b>\n\nThe run stops after the current batch and queues what it hasn't refreshed yet.${run.local ? '' : '\n\n<i>It runs on another instance, which notices within a few minutes.</i>'}`);
   } catch (error) {
-    console.error('Error during update:', error);
-    await sendMessage(chatId, `❌ <b>Update Error</b>\n\n<code>${error.message}</code>\n\nPlease check Render logs for details.`);
-    
-    lastUpdateInfo = {
-      timestamp: new Date().toISOString(),
-      success: false,
-      error: error.message
-    };
-  } finally {
-    isProcessing = false;
+    await sendMessage(chatId, `❌ Cancel failed: ${escapeHtml(error.message)}`);
+  }
+}
+
+const PHASE_LABELS = {
+  starting: '🚀 Starting',
+  queue: '📥 Processing queue',
+  check: '🔍 Checking URLs',
+  refresh: '🔄 Refreshing URLs',
+  done: '🏁 Done'
+};
+
+function progressBar(done, total) {
+  const width = 10;
+  const filled = total > 0 ? Math.round((done / total) * width) : 0;
+  return '▰'.repeat(filled) + '▱'.repeat(width - filled);
+}
+
+function formatProgress(progress) {
+  const elapsed = Math.round((Date.now() - new Date(progress.startedAt)) / 1000);
+  let text = progress.dryRun ? '🧪 <b>[DRY RUN] Update Progress</b>\n' : '⏳ <b>Update Progress</b>\n';
+  if (progress.runId) text += `🆔 Run #${progress.runId}\n`;
+  text += '\n';
+
+  if (progress.status === 'running') {
+    text += `${PHASE_LABELS[progress.phase] || progress.phase}${progress.table ? ` · <b>${escapeHtml(progress.table)}</b>` : ''}\n`;
+    if (progress.total > 0) {
+      text += `${progressBar(progress.done, progress.total)} ${progress.done}/${progress.total}\n`;
+    }
+  } else if (progress.status === 'completed') {
+    text += '✅ <b>Finished</b> - see the report below\n';
+  } else if (progress.status === 'cancelled') {
+    text += '⏹️ <b>Cancelled</b> - see the report below\n';
+  } else {
+    text += `❌ <b>Failed:</b> ${escapeHtml(progress.error || 'unknown error')}\n`;
   }
+
+  text += `\n🔄 Updated: ${progress.updated} · ❌ Failed: ${progress.failed} · ⏳ Queued: ${progress.queued}\n`;
+  text += `📈 API calls: ${progress.apiCallsUsed} · ⏱️ ${Math.floor(elapsed / 60)}m ${elapsed % 60}s`;
+  return text;
+}
+
+// Keeps one message up to date with the current run until it finishes. Call
+// it as soon as the run has started, before the message exists, so a fast
+// run can't finish unseen; attach(messageId) once the message is sent, or
+// stop() when it couldn't be. Listeners are gone once the run finishes.
+function followProgress(chatId, messageId = null) {
+  const { progressEvents, getProgress } = require('./runProgress');
+  let target = null;
+  let latest = null;
+  let finished = false;
+  let lastEdit = 0;
+  let lastText = null;
+  let editing = Promise.resolve();
+
+  const edit = force => {
+    if (!target || !latest) return;
+    const text = formatProgress(latest);
+    if (text === lastText || (!force && Date.now() - lastEdit < PROGRESS_EDIT_INTERVAL_MS)) return;
+    lastEdit = Date.now();
+    lastText = text;
+    // Chain the edits so a slow request can't overwrite a newer one
+    editing = editing.then(() => editMessage(chatId, target, text));
+  };
+
+  const onProgress = progress => {
+    latest = progress;
+    edit(false);
+  };
+  const onFinish = progress => {
+    latest = progress;
+    finished = true;
+    stop();
+    edit(true);
+  };
+
+  function stop() {
+    progressEvents.off('progress', onProgress);
+    progressEvents.off('finish', onFinish);
+  }
+
+  function attach(id) {
+    target = id;
+    edit(finished);
+  }
+
+  // The run may already be over by the time we get here
+  const current = getProgress();
+  if (current && current.status !== 'running') {
+    latest = current;
+    finished = true;
+  } else {
+    latest = current;
+    progressEvents.on('progress', onProgress);
+    progressEvents.on('finish', onFinish);
+  }
+
+  if (messageId) attach(messageId);
+  return { attach, stop };
 }
 
 async function handleStatus(chatId) {
   try {
     const { getQueueStatus } = require('./urlUpdater');
+    const { getActiveRun } = require('./runLock');
+    const { getNextRun } = require('./scheduler');
+    const { getProgress } = require('./runProgress');
     const status = await getQueueStatus();
+    const next = getNextRun();
+    const progress = getProgress();
+    const active = await getActiveRun();
+    const live = active && active.local && progress && progress.status === 'running'
+      ? `\n${PHASE_LABELS[progress.phase] || progress.phase}${progress.table ? ` ${escapeHtml(progress.table)}` : ''}: ${progress.done}/${progress.total}`
+      : '';
 
     const message = `
 📊 <b>Queue Status</b>
 
-⏳ <b>Pending:</b> ${status.pending}
+⏳ <b>Pending:</b> ${status.pending} (${status.waitingForRetry} waiting for retry)
 ✅ <b>Completed:</b> ${status.completed}  
 ❌ <b>Failed:</b> ${status.failed}
+☠️ <b>Dead Letter:</b> ${status.deadLetter}
 
-${isProcessing ? '🔄 <b>Status:</b> Update in progress...' : '💤 <b>Status:</b> Idle'}
+${active ? `🔄 <b>Status:</b> ${active.runId ? `Run #${active.runId}` : 'Update'} in progress${active.cancelRequested ? ' (cancelling)' : ''}...${live}` : '💤 <b>Status:</b> Idle'}
 
 ⏰ <b>Last Check:</b> ${new Date(status.lastCheck).toLocaleString()}
+📅 <b>Next Run:</b> ${next ? `${new Date(next.nextRun).toLocaleString()} (${next.name})` : 'Not scheduled'}
     `.trim();
 
     await sendMessage(chatId, message);
   } catch (error) {
-    await sendMessage(chatId, `❌ Error: ${error.message}`);
+    await sendMessage(chatId, `❌ Error: ${escapeHtml(error.message)}`);
   }
 }
 
 async function handleInfo(chatId) {
-  if (!lastUpdateInfo) {
-    await sendMessage(chatId, '📝 <b>No Update Info</b>\n\nNo updates have been run since the bot started.\n\nUse /update to run your first update!');
+  let run;
+  try {
+    const { getLastRun } = require('./runHistory');
+    run = await getLastRun();
+  } catch (error) {
+    await sendMessage(chatId, `❌ Error: ${escapeHtml(error.message)}`);
+    return;
+  }
+
+  if (!run) {
+    await sendMessage(chatId, '📝 <b>No Update Info</b>\n\nNo updates have been recorded yet.\n\nUse /update to run your first update!');
     return;
   }
 
-  const status = lastUpdateInfo.success ? '✅ Completed' : '❌ Failed';
+  const status = {
+    completed: '✅ Completed',
+    failed: '❌ Failed',
+    cancelled: '⏹️ Cancelled',
+    running: '🔄 Running'
+  }[run.status] || escapeHtml(run.status);
+
   const message = `
 📝 <b>Last Update Info</b>
 
-⏰ <b>Time:</b> ${new Date(lastUpdateInfo.timestamp).toLocaleString()}
-${status}
-
-${lastUpdateInfo.error ? `\n<b>Error:</b> ${lastUpdateInfo.error}` : ''}
+🆔 <b>Run:</b> #${run.id} (${escapeHtml(run.trigger)}, ${escapeHtml(run.mode)})
+⏰ <b>Started:</b> ${new Date(run.started_at).toLocaleString()}
+${run.finished_at ? `🏁 <b>Finished:</b> ${new Date(run.finished_at).toLocaleString()}\n` : ''}${status}
 
+✅ Checked: ${run.total_checked || 0}
+⚠️ Expired: ${run.expired || 0}
+🔄 Updated: ${run.updated || 0}
+❌ Failed: ${run.failed || 0}
+⏳ Queued: ${run.queued || 0}
+📈 API calls: ${run.api_calls_used || 0}
+${run.error_message ? `\n<b>Error:</b> ${escapeHtml(run.error_message)}\n` : ''}
 Type /update to run a new update.
   `.trim();
 
   await sendMessage(chatId, message);
 }
 
+async function handleHistory(chatId) {
+  try {
+    const { listRuns } = require('./runHistory');
+    const runs = await listRuns({ limit: 10 });
+
+    if (runs.length === 0) {
+      await sendMessage(chatId, '📜 <b>No Runs Yet</b>\n\nUse /update to run your first update!');
+      return;
+    }
+
+    const icons = { completed: '✅', failed: '❌', cancelled: '⏹️', running: '🔄' };
+    const lines = runs.map(run => {
+      const date = new Date(run.started_at).toLocaleString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+      return `${icons[run.status] || '•'} <b>#${run.id}</b> ${date} · ${escapeHtml(run.trigger)}\n    ⚠️ ${run.expired || 0} expired · 🔄 ${run.updated || 0} updated · ❌ ${run.failed || 0} failed`;
+    });
+
+    await sendMessage(chatId, `📜 <b>Recent Runs</b> (UTC)\n\n${lines.join('\n')}`);
+  } catch (error) {
+    await sendMessage(chatId, `❌ Error: ${escapeHtml(error.message)}`);
+  }
+}
+
+// The stored report of a run (default: the latest), with every failure
+// attached as CSV
+async function handleReport(chatId, args) {
+  try {
+    const { getRun, getLastRun } = require('./runHistory');
+    const runReport = require('./runReport');
+    const run = args[0] ? await getRun(args[0]) : await getLastRun();
+
+    if (!run) {
+      await sendMessage(chatId, args[0] ? `📭 Run #${escapeHtml(args[0])} not found.` : '📭 No runs recorded yet.');
+      return;
+    }
+
+    const report = runReport.fromRun(run);
+    await sendMessage(chatId, runReport.renderHtml(report), 'HTML', buildReportKeyboard({
+      runId: report.runId,
+      dryRun: false,
+      updated: report.summary.updated,
+      failures: run.failures || { notFound: [], permissionDenied: [], apiError: [] }
+    }));
+
+    if (report.failures.length > 0) {
+      await sendDocument(chatId, runReport.csvFilename(report), runReport.toCsv(report), 'text/csv', `📄 All ${report.failures.length} failures of run #${report.runId}`);
+    }
+  } catch (error) {
+    await sendMessage(chatId, `❌ Error: ${escapeHtml(error.message)}`);
+  }
+}
+
+async function handleUrlHistory(chatId, args) {
+  const [tableName, rowId] = args;
+  if (!tableName || !rowId) {
+    await sendMessage(chatId, 'Usage: <code>/urlhistory &lt;table&gt; &lt;rowId&gt;</code>');
+    return;
+  }
+
+  try {
+    const { getRowHistory } = require('./urlAudit');
+    const history = await getRowHistory(tableName, rowId, 10);
+
+    if (history.length === 0) {
+      await sendMessage(chatId, `📭 No URL changes recorded for <b>${escapeHtml(tableName)}</b> #${escapeHtml(rowId)}.`);
+      return;
+    }
+
+    const lines = history.map(change => {
+      const date = new Date(change.changed_at).toLocaleString('en-US', { timeZone: 'UTC' });
+      const tag = {
+        rollback: '↩️ rollback',
+        manual: '✋ manual refresh'
+      }[change.source] || `🔄 run #${change.run_id || '-'}`;
+      const undone = change.rolled_back_at ? ' <i>(rolled back)</i>' : '';
+      return `• ${date} · ${tag}${undone}`;
+    });
+
+    await sendMessage(chatId, `🗂 <b>URL History: ${escapeHtml(tableName)} #${escapeHtml(rowId)}</b> (UTC)\n\n${lines.join('\n')}\n\nUse <code>/rollback ${escapeHtml(tableName)} ${escapeHtml(rowId)}</code> to undo the latest refresh.`);
+  } catch (error) {
+    await sendMessage(chatId, `❌ Error: ${escapeHtml(error.message)}`);
+  }
+}
+
+function formatRollbackSummary(title, result) {
+  let message = `↩️ <b>${title}</b>\n\n`;
+  message += `🔁 Reverted: ${result.reverted}\n`;
+  message += `⏭️ Skipped: ${result.skipped.length}\n`;
+  message += `❌ Failed: ${result.failed}`;
+
+  result.skipped.slice(0, 5).forEach(item => {
+    message += `\n  • ${escapeHtml(item.table)} #${escapeHtml(item.rowId)}: ${escapeHtml(item.reason)}`;
+  });
+
+  return message;
+}
+
+async function handleRollback(chatId, args) {
+  const usage = 'Usage:\n<code>/rollback run &lt;runId&gt;</code> - undo a whole run\n<code>/rollback &lt;table&gt; &lt;rowId&gt;</code> - undo the latest refresh of one row';
+  const { rollbackRun, rollbackRow } = require('./urlUpdater');
+
+  try {
+    if (args[0] === 'run' && args[1]) {
+      const result = await rollbackRun(args[1]);
+      if (result.changes === 0) {
+        await sendMessage(chatId, `📭 Run #${escapeHtml(args[1])} has no URL changes left to roll back.`);
+        return;
+      }
+      await sendMessage(chatId, formatRollbackSummary(`Rollback of Run #${escapeHtml(args[1])}`, result));
+    } else if (args.length === 2) {
+      const result = await rollbackRow(args[0], args[1]);
+      if (result.changes === 0) {
+        await sendMessage(chatId, `📭 ${escapeHtml(args[0])} #${escapeHtml(args[1])} has no refresh left to roll back.`);
+        return;
+      }
+      await sendMessage(chatId, formatRollbackSummary(`Rollback of ${escapeHtml(args[0])} #${escapeHtml(args[1])}`, result));
+    } else {
+      await sendMessage(chatId, usage);
+    }
+  } catch (error) {
+    await sendMessage(chatId, `❌ Rollback failed: ${escapeHtml(error.message)}`);
+  }
+}
+
+const CHECK_LABELS = {
+  valid: '✅ URL works',
+  expired_signature: '❌ signature expired',
+  gone: '❌ URL is gone',
+  transient: '⚠️ CDN did not answer properly (transient)',
+  unknown: '❔ unexpected answer'
+};
+
+const EXPIRY_LABELS = {
+  fresh: '🟢 not near expiry',
+  expiring_soon: '⏳ expiring soon',
+  expired: '⚠️ expired',
+  unknown: '❔ no signed expiry'
+};
+
+async function handleCheck(chatId, args) {
+  const [videoId] = args;
+  if (!videoId || !/^\d+$/.test(videoId)) {
+    await sendMessage(chatId, 'Usage: <code>/check &lt;videoId&gt;</code>');
+    return;
+  }
+
+  await sendMessage(chatId, `🔍 Checking video <code>${videoId}</code>...`);
+
+  try {
+    const { checkVideo } = require('./urlUpdater');
+    const result = await checkVideo(videoId);
+
+    let message = `🔍 <b>Video ${videoId}</b>\n\n`;
+
+    if (result.rows.length === 0) {
+      message += '📭 Not referenced by any configured table.\n';
+    }
+    result.rows.forEach(row => {
+      message += `<b>${escapeHtml(row.table)} #${row.id}</b> ${escapeHtml(row.title || '')}\n`;
+      const detail = row.check.status ? ` (${row.check.method.toUpperCase()} ${row.check.status})` : '';
+      message += `  ${CHECK_LABELS[row.check.outcome]}${escapeHtml(detail)} · ${EXPIRY_LABELS[row.expiry]}\n`;
+      message += `  <code>${escapeHtml(row.url || 'no URL')}</code>\n`;
+    });
+
+    message += '\n<b>Graph API:</b> ';
+    if (result.graph.success) {
+      message += `✅ source available${result.graph.pageId ? ` (via page ${escapeHtml(result.graph.pageId)})` : ''}\n<code>${escapeHtml(result.graph.url)}</code>`;
+      const assets = result.graph.assets || {};
+      if (assets.length !== undefined) message += `\n⏱ ${Math.round(assets.length)}s`;
+      if (assets.thumbnail) message += `\n🖼 <code>${escapeHtml(assets.thumbnail)}</code>`;
+      if (assets.posterFormats) message += `\n🎞 Poster sizes: ${escapeHtml(Object.keys(assets.posterFormats).join(', ') || 'none')}`;
+    } else {
+      message += `❌ ${escapeHtml(result.graph.error)}: ${escapeHtml(result.graph.message)}`;
+    }
+
+    const keyboard = result.graph.success ? refreshKeyboard(result.rows) : null;
+    await sendMessage(chatId, message, 'HTML', keyboard);
+  } catch (error) {
+    await sendMessage(chatId, `❌ Error: ${escapeHtml(error.message)}`);
+  }
+}
+
+async function handleRefresh(chatId, args) {
+  const [tableName, rowId] = args;
+  if (!tableName || !rowId) {
+    await sendMessage(chatId, 'Usage: <code>/refresh &lt;table&gt; &lt;rowId&gt;</code>');
+    return;
+  }
+
+  try {
+    const { refreshRow } = require('./urlUpdater');
+    const result = await refreshRow(tableName, rowId);
+
+    if (!result.success) {
+      await sendMessage(chatId, `❌ <b>Refresh Failed</b>\n\n${escapeHtml(tableName)} #${escapeHtml(rowId)} ${escapeHtml(result.title || '')}\n${escapeHtml(result.error)}: ${escapeHtml(result.message)}`);
+      return;
+    }
+
+    await sendMessage(chatId, `✅ <b>Refreshed</b> ${escapeHtml(tableName)} #${escapeHtml(rowId)}\n${escapeHtml(result.title || '')}\n\n<code>${escapeHtml(result.newUrl)}</code>\n\nUndo with <code>/rollback ${escapeHtml(tableName)} ${escapeHtml(rowId)}</code>`);
+  } catch (error) {
+    await sendMessage(chatId, `❌ Refresh failed: ${escapeHtml(error.message)}`);
+  }
+}
+
+async function handleFind(chatId, args) {
+  const query = args.join(' ').trim();
+  if (query.length < 2) {
+    await sendMessage(chatId, 'Usage: <code>/find &lt;title&gt;</code> (at least 2 characters)');
+    return;
+  }
+
+  try {
+    const { findVideos } = require('./urlUpdater');
+    const videos = await findVideos(query, 10);
+
+    if (videos.length === 0) {
+      await sendMessage(chatId, `📭 No videos matching "<b>${escapeHtml(query)}</b>".`);
+      return;
+    }
+
+    const lines = videos.map(video =>
+      `• <b>${escapeHtml(video.title || 'Untitled')}</b>\n  ${escapeHtml(video.table)} #${video.id} · video <code>${escapeHtml(video.videoId || '-')}</code>`
+    );
+
+    await sendMessage(chatId, `🔎 <b>Results for "${escapeHtml(query)}"</b>\n\n${lines.join('\n')}`, 'HTML', refreshKeyboard(videos));
+  } catch (error) {
+    await sendMessage(chatId, `❌ Error: ${escapeHtml(error.message)}`);
+  }
+}
+
+async function handleTriage(chatId, args) {
+  try {
+    const { listEntries, FAILURE_THRESHOLD } = require('./videoTriage');
+    const entries = await listEntries({ status: 'unavailable', tableName: args[0] || null, limit: 20 });
+
+    if (entries.length === 0) {
+      await sendMessage(chatId, `✅ No videos are marked unavailable${args[0] ? ` in <b>${escapeHtml(args[0])}</b>` : ''}.`);
+      return;
+    }
+
+    const lines = entries.map(entry => {
+      const date = new Date(entry.unavailable_at).toLocaleString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' });
+      return `• <b>${escapeHtml(entry.video_title || 'Untitled')}</b>\n  ${escapeHtml(entry.table_name)} #${escapeHtml(entry.row_id)} · video <code>${escapeHtml(entry.facebook_video_id)}</code>\n  ${escapeHtml(entry.last_error)} since ${date}`;
+    });
+
+    const rows = entries
+      .map(entry => button(`✅ Re-enable ${entry.table_name} #${entry.row_id}`, `te:${entry.table_name}:${entry.row_id}`))
+      .filter(Boolean)
+      .map(enable => [enable]);
+
+    await sendMessage(
+      chatId,
+      `🚫 <b>Unavailable Videos</b> (${entries.length}${entries.length === 20 ? '+' : ''})\n<i>Failed ${FAILURE_THRESHOLD} runs in a row; scans skip them.</i>\n\n${lines.join('\n')}\n\nGive one a new video with <code>/replace &lt;table&gt; &lt;rowId&gt; &lt;videoId&gt;</code>.`,
+      'HTML',
+      rows.length > 0 ? { inline_keyboard: rows } : null
+    );
+  } catch (error) {
+    await sendMessage(chatId, `❌ Error: ${escapeHtml(error.message)}`);
+  }
+}
+
+async function handleEnable(chatId, args) {
+  const [tableName, rowId] = args;
+  if (!tableName || !rowId) {
+    await sendMessage(chatId, 'Usage: <code>/enable &lt;table&gt; &lt;rowId&gt;</code>');
+    return;
+  }
+
+  try {
+    const { reenable } = require('./videoTriage');
+    const result = await reenable(tableName, rowId, `telegram:${chatId}`);
+    await sendMessage(chatId, `✅ <b>Re-enabled</b> ${escapeHtml(tableName)} #${escapeHtml(rowId)}\n${escapeHtml(result.title || '')}\n\nThe next run checks it again.`);
+  } catch (error) {
+    await sendMessage(chatId, `❌ Error: ${escapeHtml(error.message)}`);
+  }
+}
+
+async function handleReplace(chatId, args) {
+  const [tableName, rowId, videoId] = args;
+  if (!tableName || !rowId || !videoId) {
+    await sendMessage(chatId, 'Usage: <code>/replace &lt;table&gt; &lt;rowId&gt; &lt;videoId&gt;</code>');
+    return;
+  }
+
+  try {
+    const { replaceVideo } = require('./videoTriage');
+    const result = await replaceVideo(tableName, rowId, videoId, `telegram:${chatId}`);
+    const where = `${escapeHtml(tableName)} #${escapeHtml(rowId)}`;
+
+    let message = `🔁 <b>Video Replaced</b> ${where}\n${escapeHtml(result.title || '')}\n<code>${escapeHtml(result.oldVideoId)}</code> → <code>${escapeHtml(result.videoId)}</code>\n\n`;
+    if (result.refresh.success) {
+      message += `✅ Refreshed:\n<code>${escapeHtml(result.refresh.newUrl)}</code>`;
+    } else {
+      message += `⚠️ Not refreshed yet (${escapeHtml(result.refresh.error)}: ${escapeHtml(result.refresh.message)}). The row is back in scans, so the next run retries it.`;
+    }
+    await sendMessage(chatId, message);
+  } catch (error) {
+    await sendMessage(chatId, `❌ Error: ${escapeHtml(error.message)}`);
+  }
+}
+
+// Inline keyboards. callback_data is "<action>:<args>" and at most 64 bytes:
+//   rf:<table>:<rowId>   refresh one row
+//   te:<table>:<rowId>   re-enable a row triage marked unavailable
+//   nf:<runId>           list a run's not-found videos
+//   retry:<runId>        requeue a run's failed videos and drain the queue
+//   pd:<runId>           requeue a run's permission-denied videos
+//   rb:<runId>           roll back a run (asks for confirmation first)
+//   ok:<action>:<args>   confirmed destructive action
+//   no                   cancelled destructive action
+const DESTRUCTIVE_ACTIONS = ['rb'];
+
+function button(text, data) {
+  return Buffer.byteLength(data) <= 64 ? { text, callback_data: data } : null;
+}
+
+function refreshKeyboard(videos) {
+  const rows = videos
+    .map(video => button(`🔄 Refresh ${video.table} #${video.id}`, `rf:${video.table}:${video.id}`))
+    .filter(Boolean)
+    .map(refresh => [refresh]);
+  return rows.length > 0 ? { inline_keyboard: rows } : null;
+}
+
+function buildReportKeyboard(stats) {
+  if (!stats.runId || stats.dryRun) return null;
+
+  const { notFound, permissionDenied, apiError } = stats.failures;
+  const rows = [];
+
+  if (notFound.length + apiError.length > 0) {
+    rows.push([button(`🔁 Retry failed (${notFound.length + apiError.length})`, `retry:${stats.runId}`)]);
+  }
+  if (notFound.length > 0) {
+    rows.push([button(`📋 Show not-found list (${notFound.length})`, `nf:${stats.runId}`)]);
+  }
+  if (permissionDenied.length > 0) {
+    rows.push([button(`🔒 Requeue permission-denied (${permissionDenied.length})`, `pd:${stats.runId}`)]);
+  }
+  if (stats.updated > 0) {
+    rows.push([button('↩️ Roll back this run', `rb:${stats.runId}`)]);
+  }
+
+  return rows.length > 0 ? { inline_keyboard: rows } : null;
+}
+
+async function loadRunFailures(runId) {
+  const { getRun } = require('./runHistory');
+  const run = await getRun(runId);
+  if (!run) throw new Error(`Run #${runId} not found`);
+  return run.failures || { notFound: [], permissionDenied: [], apiError: [] };
+}
+
+// Failures recorded before table/rowId were stored can't be requeued
+async function requeueFailures(items) {
+  const { addToQueue } = require('./updateQueue');
+  let queued = 0;
+  let skipped = 0;
+
+  for (const item of items) {
+    if (!item.table || item.rowId === undefined || !item.id) {
+      skipped++;
+      continue;
+    }
+    if (await addToQueue(item.table, item.rowId, item.id, null, item.title)) queued++;
+  }
+
+  return { queued, skipped };
+}
+
+async function handleCallbackQuery(query) {
+  const chatId = query.message ? query.message.chat.id : query.from.id;
+  const messageId = query.message ? query.message.message_id : null;
+  const data = query.data || '';
+
+  log.info('Telegram callback', { data, chatId });
+
+  if (!isAuthorized(chatId)) {
+    await answerCallback(query.id, '❌ You are not authorized to use this bot.', true);
+    log.warn('Unauthorized Telegram callback', { data, chatId });
+    return;
+  }
+
+  const [action, ...args] = data.split(':');
+
+  try {
+    if (DESTRUCTIVE_ACTIONS.includes(action)) {
+      await answerCallback(query.id);
+      await confirmAction(chatId, action, args);
+      return;
+    }
+
+    switch (action) {
+      case 'ok':
+        await answerCallback(query.id, 'Working on it...');
+        await runConfirmedAction(chatId, messageId, args[0], args.slice(1));
+        break;
+      case 'no':
+        await answerCallback(query.id, 'Cancelled');
+        if (messageId) await editMessage(chatId, messageId, '✖️ <b>Cancelled</b>\n\nNothing was changed.');
+        break;
+      case 'rf':
+        await answerCallback(query.id, `Refreshing ${args[0]} #${args[1]}...`);
+        await handleRefresh(chatId, args);
+        break;
+      case 'te':
+        await answerCallback(query.id);
+        await handleEnable(chatId, args);
+        break;
+      case 'nf':
+        await answerCallback(query.id);
+        await showNotFound(chatId, args[0]);
+        break;
+      case 'retry':
+        await answerCallback(query.id, 'Retrying failed videos...');
+        await retryFailed(chatId, args[0]);
+        break;
+      case 'pd':
+        await answerCallback(query.id);
+        await requeuePermissionDenied(chatId, args[0]);
+        break;
+      default:
+        await answerCallback(query.id, 'This button is no longer supported.', true);
+    }
+  } catch (error) {
+    log.error('Callback error', { data, chatId, error });
+    await sendMessage(chatId, `❌ Error: ${escapeHtml(error.message)}`);
+  }
+}
+
+async function confirmAction(chatId, action, args) {
+  const prompts = {
+    rb: `↩️ <b>Roll back run #${escapeHtml(args[0])}?</b>\n\nEvery URL this run wrote is reverted, unless the row has changed since.`
+  };
+
+  await sendMessage(chatId, prompts[action], 'HTML', {
+    inline_keyboard: [[
+      button('✅ Confirm', `ok:${action}:${args.join(':')}`),
+      button('✖️ Cancel', 'no')
+    ]]
+  });
+}
+
+async function runConfirmedAction(chatId, messageId, action, args) {
+  if (action === 'rb') {
+    const { rollbackRun } = require('./urlUpdater');
+    const result = await rollbackRun(args[0]);
+    const text = result.changes === 0
+      ? `📭 Run #${escapeHtml(args[0])} has no URL changes left to roll back.`
+      : formatRollbackSummary(`Rollback of Run #${escapeHtml(args[0])}`, result);
+
+    if (messageId) {
+      await editMessage(chatId, messageId, text);
+    } else {
+      await sendMessage(chatId, text);
+    }
+    return;
+  }
+
+  await sendMessage(chatId, '❓ Unknown action.');
+}
+
+async function showNotFound(chatId, runId) {
+  const { notFound } = await loadRunFailures(runId);
+
+  if (notFound.length === 0) {
+    await sendMessage(chatId, `📭 Run #${escapeHtml(runId)} has no not-found videos.`);
+    return;
+  }
+
+  const lines = notFound.slice(0, 50).map(item => {
+    const where = item.table ? `${escapeHtml(item.table)} #${escapeHtml(item.rowId)} · ` : '';
+    return `• ${escapeHtml(item.title)}\n  ${where}video <code>${escapeHtml(item.id)}</code>`;
+  });
+  if (notFound.length > 50) {
+    lines.push(`... and ${notFound.length - 50} more`);
+  }
+
+  await sendMessage(chatId, `⚠️ <b>Not Found in Run #${escapeHtml(runId)} (${notFound.length})</b>\n\n${lines.join('\n')}`);
+}
+
+async function retryFailed(chatId, runId) {
+  const { processUrlUpdates } = require('./urlUpdater');
+  const { getActiveRun } = require('./runLock');
+  const active = await getActiveRun();
+  if (active) {
+    await sendMessage(chatId, alreadyRunningMessage(active.runId));
+    return;
+  }
+
+  const failures = await loadRunFailures(runId);
+  const { queued, skipped } = await requeueFailures([...failures.notFound, ...failures.apiError]);
+
+  if (queued === 0) {
+    await sendMessage(chatId, `📭 Nothing to retry from run #${escapeHtml(runId)}${skipped > 0 ? ` (${skipped} failures lack row details)` : ''}.`);
+    return;
+  }
+
+  await sendMessage(chatId, `🔁 <b>Retrying ${queued} videos from run #${escapeHtml(runId)}</b>\n\n<i>You'll receive a report when the queue has been processed.</i>`);
+
+  const result = await processUrlUpdates({ mode: 'queue', trigger: 'bot' });
+  if (result.status === 'already_running') {
+    await sendMessage(chatId, `${alreadyRunningMessage(result.runId)}\n\nThe videos stay queued for the next run.`);
+  }
+}
+
+async function requeuePermissionDenied(chatId, runId) {
+  const { permissionDenied } = await loadRunFailures(runId);
+  const { queued, skipped } = await requeueFailures(permissionDenied);
+
+  await sendMessage(chatId, `🔒 <b>Requeued ${queued} permission-denied videos</b> from run #${escapeHtml(runId)}${skipped > 0 ? `\n⏭️ ${skipped} skipped (no row details)` : ''}\n\n<i>They are retried at the start of the next run. Check the token and page pool with /token first.</i>`);
+}
+
+async function handleToken(chatId) {
+  try {
+    const { inspectToken, getPagePool } = require('./tokenManager');
+    const info = await inspectToken();
+    const pool = getPagePool();
+
+    let message = `🔑 <b>Facebook Token</b>\n\n`;
+    message += info.isValid ? '✅ <b>Valid</b>\n' : `❌ <b>Invalid:</b> ${escapeHtml(info.error || 'rejected by Facebook')}\n`;
+    if (info.type) message += `🏷 <b>Type:</b> ${escapeHtml(info.type)}\n`;
+    if (info.isValid) {
+      message += info.expiresAt
+        ? `⏰ <b>Expires:</b> ${new Date(info.expiresAt).toLocaleString('en-US', { timeZone: 'UTC' })} UTC (${Math.max(info.daysLeft, 0).toFixed(1)} days)\n`
+        : '⏰ <b>Expires:</b> never\n';
+    }
+    if (info.scopes && info.scopes.length > 0) {
+      message += `📜 <b>Scopes:</b> ${escapeHtml(info.scopes.join(', '))}\n`;
+    }
+    if (info.missingScopes && info.missingScopes.length > 0) {
+      message += `⚠️ <b>Missing:</b> ${escapeHtml(info.missingScopes.join(', '))}\n`;
+    }
+
+    message += `\n📄 <b>Page Token Pool:</b> ${pool.length} pages\n`;
+    pool.slice(0, 10).forEach(page => {
+      message += `  • ${escapeHtml(page.name || page.pageId)} (<code>${escapeHtml(page.pageId)}</code>)\n`;
+    });
+
+    await sendMessage(chatId, message.trim());
+  } catch (error) {
+    await sendMessage(chatId, `❌ Error: ${escapeHtml(error.message)}`);
+  }
+}
+
 async function handleHelp(chatId) {
   const message = `
 📚 <b>Bot Commands</b>
 
 <b>/update</b> - Check and update expired URLs
-  • Scans episodes and movies tables
+  • Scans all configured content tables
   • Tests each URL validity
   • Updates expired URLs from Facebook
   • Sends detailed report
 
+<b>/update dryrun [resolve]</b> - Simulate an update
+  • Lists what would be refreshed or queued
+  • Writes nothing; add <i>resolve</i> to fetch new URLs too
+
+<b>/cancel</b> - Stop the running update
+  • Stops after the current batch
+  • Unfinished refreshes are queued for the next run
+
 <b>/status</b> - View queue status
-  • Pending/completed/failed counts
+  • Pending/completed/failed/dead-letter counts
   • Current process status
+  • Next scheduled run
 
 <b>/info</b> - Last update info
   • When last update ran
   • Success/failure status
 
+<b>/history</b> - Recent runs
+  • Last 10 runs with expired/updated/failed counts
+
+<b>/report [runId]</b> - Full report of a run
+  • Defaults to the latest run
+  • Every failure attached as a CSV file
+
+<b>/urlhistory &lt;table&gt; &lt;rowId&gt;</b> - URL change log of one row
+
+<b>/check &lt;videoId&gt;</b> - Check one video
+  • DB URL, whether it still works, what Graph returns
+
+<b>/refresh &lt;table&gt; &lt;rowId&gt;</b> - Refresh one row now
+
+<b>/find &lt;title&gt;</b> - Search all tables by title
+  • Case-insensitive, matches any part of the title
+
+<b>/triage [table]</b> - Videos marked unavailable
+  • Rows that failed permanently several runs in a row
+  • Scans skip them until re-enabled
+
+<b>/enable &lt;table&gt; &lt;rowId&gt;</b> - Put an unavailable row back into scans
+
+<b>/replace &lt;table&gt; &lt;rowId&gt; &lt;videoId&gt;</b> - New Facebook video for a row
+  • Re-enables and refreshes it right away
+
+<b>/rollback run &lt;runId&gt;</b> - Undo every change of a run
+<b>/rollback &lt;table&gt; &lt;rowId&gt;</b> - Undo a row's latest refresh
+
+<b>/token</b> - Facebook token health
+  • Expiry date, scopes and page token pool
+
 <b>/help</b> - Show this help
 
 <b>How It Works:</b>
-1. Bot checks all video URLs in database
-2. Tests if each URL is still accessible
-3. Updates expired URLs with fresh ones
-4. Sends you a complete report
+1. Runs automatically on the configured schedule (or via /update)
+2. Bot checks all video URLs in database
+3. Tests if each URL is still accessible
+4. Updates expired URLs with fresh ones
+5. Sends you a complete report
 
 <i>Updates take 1-5 minutes depending on video count.</i>
   `.trim();
@@ -192,40 +1092,40 @@ async function handleHelp(chatId) {
 }
 
 async function setWebhook(webhookUrl) {
+  const secret = getWebhookSecret();
+  if (!secret) {
+    throw new Error('SECRET_KEY or TELEGRAM_WEBHOOK_SECRET is required to verify webhook calls');
+  }
+
   try {
-    console.log('Setting webhook...');
-    console.log('Bot token exists:', !!BOT_TOKEN);
-    console.log('Bot token length:', BOT_TOKEN ? BOT_TOKEN.length : 0);
-    console.log('Webhook URL:', webhookUrl);
-    
+    log.info('Setting webhook', { webhookUrl, botConfigured: !!BOT_TOKEN });
+
     const response = await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/setWebhook`, {
       url: webhookUrl,
-      allowed_updates: ['message']
+      allowed_updates: ALLOWED_UPDATES,
+      secret_token: secret
     });
     
-    console.log('Telegram webhook set successfully:', JSON.stringify(response.data, null, 2));
+    log.info('Telegram webhook set', { result: response.data });
     return response.data;
   } catch (error) {
-    console.error('Error setting webhook:', error.message);
-    
-    // Log detailed error information
-    if (error.response) {
-      console.error('Telegram API Error Response:', JSON.stringify(error.response.data, null, 2));
-      console.error('Status:', error.response.status);
-      console.error('Headers:', JSON.stringify(error.response.headers, null, 2));
-    }
-    
+    // The error carries the Telegram response; the bot token is redacted from its URL
+    log.error('Error setting webhook', error);
+
     throw error;
   }
 }
 
 async function deleteWebhook() {
   try {
-    const response = await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/deleteWebhook`);
-    console.log('Webhook deleted:', response.data);
+    // Keep pending updates: a poller picks them up from where the webhook stopped
+    const response = await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/deleteWebhook`, {
+      drop_pending_updates: false
+    });
+    log.info('Webhook deleted', { result: response.data });
     return response.data;
   } catch (error) {
-    console.error('Error deleting webhook:', error.message);
+    log.error('Error deleting webhook', { error: error.message });
     throw error;
   }
 }
@@ -234,5 +1134,9 @@ module.exports = {
   handleTelegramUpdate,
   setWebhook,
   deleteWebhook,
-  sendMessage
+  sendMessage,
+  buildReportKeyboard,
+  followProgress,
+  isValidWebhookSecret,
+  ALLOWED_UPDATES
 };
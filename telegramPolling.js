@@ -0,0 +1,95 @@
+const axios = require('axios');
+const { handleTelegramUpdate, deleteWebhook, ALLOWED_UPDATES } = require('./telegramBot');
+const { getState, setState } = require('./appState');
+const { createLogger } = require('./logger');
+
+const log = createLogger('telegramPolling');
+
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const POLL_TIMEOUT_SECONDS = parseInt(process.env.TELEGRAM_POLL_TIMEOUT || '30', 10);
+const ERROR_DELAY_MS = 5000;
+const OFFSET_KEY = 'telegram_update_offset';
+const MODES = ['webhook', 'polling'];
+
+let polling = false;
+let offset = 0;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getTelegramMode() {
+  const mode = process.env.TELEGRAM_MODE || 'webhook';
+  if (!MODES.includes(mode)) {
+    throw new Error(`TELEGRAM_MODE must be one of ${MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+async function pollOnce() {
+  const response = await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/getUpdates`, {
+    offset: offset,
+    timeout: POLL_TIMEOUT_SECONDS,
+    allowed_updates: ALLOWED_UPDATES
+  }, { timeout: (POLL_TIMEOUT_SECONDS + 10) * 1000 });
+
+  const updates = response.data && Array.isArray(response.data.result) ? response.data.result : [];
+
+  for (const update of updates) {
+    // Saved before handling: after a crash a command is lost rather than
+    // replayed, which matters for /update and /rollback
+    offset = update.update_id + 1;
+    await setState(OFFSET_KEY, offset);
+
+    // Not awaited, so a long /update doesn't hold up /status or button presses
+    handleTelegramUpdate(update).catch(error => {
+      log.error('Telegram update error', { updateId: update.update_id, error });
+    });
+  }
+}
+
+async function pollLoop() {
+  while (polling) {
+    try {
+      await pollOnce();
+    } catch (error) {
+      if (!polling) break;
+
+      const description = error.response?.data?.description || error.message;
+      log.error('Telegram polling error', { error: description });
+
+      // A webhook was set again (e.g. by another deployment) - take the bot back
+      if (error.response && error.response.status === 409 && /webhook/i.test(description)) {
+        await deleteWebhook().catch(() => {});
+      }
+      await sleep(ERROR_DELAY_MS);
+    }
+  }
+}
+
+// getUpdates is refused while a webhook is set, so it is removed first
+async function startPolling() {
+  if (!BOT_TOKEN) {
+    log.info('Telegram not configured, polling not started');
+    return false;
+  }
+  if (polling) return true;
+
+  await deleteWebhook();
+  offset = await getState(OFFSET_KEY, 0);
+  polling = true;
+
+  log.info('Telegram long polling started', { offset });
+  pollLoop();
+  return true;
+}
+
+function stopPolling() {
+  polling = false;
+}
+
+function isPolling() {
+  return polling;
+}
+
+module.exports = { getTelegramMode, startPolling, stopPolling, isPolling };
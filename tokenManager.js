@@ -0,0 +1,269 @@
+const {
+  graphRequest,
+  getAccessToken,
+  setAccessToken,
+  getFacebookVideoUrl,
+  GRAPH_URL
+} = require('./facebookGraph');
+const { createLogger } = require('./logger');
+
+const log = createLogger('tokens');
+
+const APP_ID = process.env.FACEBOOK_APP_ID;
+const APP_SECRET = process.env.FACEBOOK_APP_SECRET;
+const EXPIRY_WARN_DAYS = parseFloat(process.env.TOKEN_EXPIRY_WARN_DAYS || '7');
+
+const REQUIRED_SCOPES = ['pages_read_engagement', 'pages_show_list'];
+
+// pageId -> { pageId, name, token }
+let pagePool = new Map();
+// videoId -> pageId whose token last resolved it
+const videoOwners = new Map();
+// token key -> date string of the last warning, so each token warns once a day
+const lastWarned = new Map();
+
+function maskToken(token) {
+  if (!token) return null;
+  if (token.length <= 12) return '***';
+  return `${token.slice(0, 6)}…${token.slice(-4)}`;
+}
+
+function hasAppCredentials() {
+  return !!(APP_ID && APP_SECRET);
+}
+
+function toDate(seconds) {
+  // debug_token reports 0 for tokens that never expire
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Looks a token up with /debug_token. Uses the app token when app credentials
+// are configured, otherwise the token inspects itself.
+async function inspectToken(token = getAccessToken()) {
+  if (!token) {
+    return { isValid: false, error: 'No token configured' };
+  }
+
+  try {
+    const response = await graphRequest({
+      method: 'get',
+      url: `${GRAPH_URL}/debug_token`,
+      params: {
+        input_token: token,
+        access_token: hasAppCredentials() ? `${APP_ID}|${APP_SECRET}` : token
+      }
+    }, 'token');
+
+    const data = response.data && response.data.data ? response.data.data : {};
+    const scopes = data.scopes || [];
+    const expiresAt = toDate(data.expires_at);
+
+    return {
+      token: maskToken(token),
+      isValid: !!data.is_valid,
+      type: data.type || null,
+      appId: data.app_id || null,
+      profileId: data.profile_id || data.user_id || null,
+      expiresAt,
+      dataAccessExpiresAt: toDate(data.data_access_expires_at),
+      daysLeft: expiresAt ? (new Date(expiresAt) - Date.now()) / (24 * 60 * 60 * 1000) : null,
+      scopes,
+      missingScopes: data.type === 'PAGE' ? [] : REQUIRED_SCOPES.filter(s => !scopes.includes(s)),
+      error: data.error ? data.error.message : null
+    };
+  } catch (error) {
+    return {
+      token: maskToken(token),
+      isValid: false,
+      error: error.response?.data?.error?.message || error.message
+    };
+  }
+}
+
+// Swaps a short-lived user token for a long-lived one (~60 days) and makes it
+// the active token. The caller still has to store it in FACEBOOK_ACCESS_TOKEN.
+async function exchangeForLongLivedToken(shortLivedToken, options = {}) {
+  if (!hasAppCredentials()) {
+    throw new Error('FACEBOOK_APP_ID and FACEBOOK_APP_SECRET are required to exchange tokens');
+  }
+  if (!shortLivedToken) {
+    throw new Error('A short-lived token is required');
+  }
+
+  let response;
+  try {
+    response = await graphRequest({
+      method: 'get',
+      url: `${GRAPH_URL}/oauth/access_token`,
+      params: {
+        grant_type: 'fb_exchange_token',
+        client_id: APP_ID,
+        client_secret: APP_SECRET,
+        fb_exchange_token: shortLivedToken
+      }
+    }, 'token');
+  } catch (error) {
+    throw new Error(`Token exchange failed: ${error.response?.data?.error?.message || error.message}`);
+  }
+
+  const token = response.data.access_token;
+  const expiresIn = response.data.expires_in || null;
+
+  if (options.activate !== false) {
+    setAccessToken(token);
+    log.info('Switched to long-lived token', { masked: maskToken(token) });
+  }
+
+  return {
+    accessToken: token,
+    expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null
+  };
+}
+
+function readConfiguredPageTokens() {
+  if (!process.env.FACEBOOK_PAGE_TOKENS) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(process.env.FACEBOOK_PAGE_TOKENS);
+  } catch (error) {
+    throw new Error(`FACEBOOK_PAGE_TOKENS is not valid JSON: ${error.message}`);
+  }
+
+  // Either {"<pageId>": "<token>"} or [{"pageId", "name", "token"}]
+  const list = Array.isArray(parsed)
+    ? parsed
+    : Object.entries(parsed).map(([pageId, token]) => ({ pageId, token }));
+
+  return list.map((page, index) => {
+    if (!page || !page.pageId || !page.token) {
+      throw new Error(`FACEBOOK_PAGE_TOKENS[${index}] needs pageId and token`);
+    }
+    return { pageId: String(page.pageId), name: page.name || null, token: page.token };
+  });
+}
+
+// Pages managed by the main user token, each with its own page token
+async function fetchManagedPages() {
+  const pages = [];
+  let url = `${GRAPH_URL}/me/accounts`;
+  let params = { fields: 'id,name,access_token', limit: 100, access_token: getAccessToken() };
+
+  while (url) {
+    const response = await graphRequest({ method: 'get', url, params }, 'token');
+    (response.data.data || []).forEach(page => {
+      if (page.access_token) {
+        pages.push({ pageId: String(page.id), name: page.name || null, token: page.access_token });
+      }
+    });
+    // The "next" link already carries every parameter
+    url = response.data.paging && response.data.paging.next;
+    params = undefined;
+  }
+
+  return pages;
+}
+
+async function loadPageTokens() {
+  const pool = new Map();
+  readConfiguredPageTokens().forEach(page => pool.set(page.pageId, page));
+
+  if (process.env.FACEBOOK_LOAD_PAGE_TOKENS === 'true' && getAccessToken()) {
+    try {
+      const pages = await fetchManagedPages();
+      pages.forEach(page => {
+        if (!pool.has(page.pageId)) pool.set(page.pageId, page);
+      });
+    } catch (error) {
+      log.error('Could not load page tokens from /me/accounts', { error: error.response?.data?.error?.message || error.message });
+    }
+  }
+
+  pagePool = pool;
+  return getPagePool();
+}
+
+function getPagePool() {
+  return Array.from(pagePool.values()).map(page => ({
+    pageId: page.pageId,
+    name: page.name,
+    token: maskToken(page.token)
+  }));
+}
+
+// Retries a video the main token may not read with the page tokens in the
+// pool, starting with the page that resolved it last time. options are passed
+// on to getFacebookVideoUrl.
+async function resolveWithPageTokens(videoId, options = {}) {
+  const notFound = { success: false, error: 'permission_denied', message: 'No page token could read this video' };
+  if (pagePool.size === 0) return notFound;
+
+  const ownerId = videoOwners.get(String(videoId));
+  const pages = Array.from(pagePool.values())
+    .sort((a, b) => (b.pageId === ownerId) - (a.pageId === ownerId));
+
+  for (const page of pages) {
+    const result = await getFacebookVideoUrl(videoId, { ...options, token: page.token });
+
+    if (result.success) {
+      videoOwners.set(String(videoId), page.pageId);
+      return { ...result, pageId: page.pageId };
+    }
+
+    // Anything but another permission error is the real answer for this video
+    if (result.error !== 'permission_denied') {
+      return result;
+    }
+  }
+
+  return notFound;
+}
+
+function tokenWarning(label, info) {
+  if (!info.isValid) {
+    return `❌ ${label} token is invalid: ${info.error || 'rejected by Facebook'}`;
+  }
+  if (info.daysLeft !== null && info.daysLeft <= EXPIRY_WARN_DAYS) {
+    return `⚠️ ${label} token expires in ${Math.max(info.daysLeft, 0).toFixed(1)} days (${info.expiresAt})`;
+  }
+  if (info.missingScopes && info.missingScopes.length > 0) {
+    return `⚠️ ${label} token is missing scopes: ${info.missingScopes.join(', ')}`;
+  }
+  return null;
+}
+
+// Inspects the main token and every pooled page token. Returns the details
+// plus the warnings that have not been sent yet today.
+async function checkTokenHealth() {
+  const today = new Date().toISOString().slice(0, 10);
+  const targets = [{ key: 'main', label: 'Main', token: getAccessToken() }];
+  pagePool.forEach(page => {
+    targets.push({ key: `page:${page.pageId}`, label: `Page ${page.name || page.pageId}`, token: page.token });
+  });
+
+  const tokens = [];
+  const warnings = [];
+
+  for (const target of targets) {
+    const info = await inspectToken(target.token);
+    tokens.push({ key: target.key, label: target.label, ...info });
+
+    const warning = tokenWarning(target.label, info);
+    if (warning && lastWarned.get(target.key) !== today) {
+      lastWarned.set(target.key, today);
+      warnings.push(warning);
+    }
+  }
+
+  return { checkedAt: new Date().toISOString(), warnDays: EXPIRY_WARN_DAYS, tokens, warnings };
+}
+
+module.exports = {
+  inspectToken,
+  exchangeForLongLivedToken,
+  loadPageTokens,
+  getPagePool,
+  resolveWithPageTokens,
+  checkTokenHealth,
+  maskToken
+};
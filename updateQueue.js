@@ -0,0 +1,296 @@
+const storage = require('./storage');
+const { rescoreWait, WAIT_SATURATION_RUNS } = require('./refreshPriority');
+const { createLogger } = require('./logger');
+
+const log = createLogger('queue');
+
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MINUTES = parseFloat(process.env.QUEUE_RETRY_BASE_MINUTES || '30');
+
+// Errors worth another attempt later. Rate limits and an exhausted budget say
+// nothing about the item itself, so those leave it untouched instead.
+const RETRYABLE_ERRORS = ['network_error', 'server_error', 'db_error'];
+const BUDGET_ERRORS = ['rate_limit', 'budget_exhausted'];
+
+const STATUSES = ['pending', 'completed', 'failed', 'dead_letter', 'merged'];
+
+const QUEUE_TABLE = 'url_update_queue';
+
+function byId(id) {
+  return [{ column: 'id', op: 'eq', value: id }];
+}
+
+function queueKey(item) {
+  return `${item.table_name}:${item.row_id}:${item.facebook_video_id}`;
+}
+
+function nextAttemptAt(attempts) {
+  const delayMinutes = RETRY_BASE_MINUTES * Math.pow(2, Math.max(attempts - 1, 0));
+  return new Date(Date.now() + delayMinutes * 60 * 1000).toISOString();
+}
+
+// Returns true when the item is (already) queued, false on error. priority is
+// { score, runsWaited } from the scan; it is stored on a new item and replaces
+// the one an already queued item carries.
+async function addToQueue(tableName, rowId, videoId, oldUrl, title = null, priority = null) {
+  try {
+    const existing = await storage.select(QUEUE_TABLE, {
+      columns: ['id'],
+      where: [
+        { column: 'status', op: 'eq', value: 'pending' },
+        { column: 'table_name', op: 'eq', value: tableName },
+        { column: 'row_id', op: 'eq', value: rowId },
+        { column: 'facebook_video_id', op: 'eq', value: videoId }
+      ],
+      limit: 1
+    });
+
+    if (existing.length > 0) {
+      log.debug('Already queued', { table: tableName, rowId, videoId });
+      if (priority) {
+        await storage.update(QUEUE_TABLE, byId(existing[0].id), { priority: priority.score, runs_waited: priority.runsWaited });
+      }
+      return true;
+    }
+
+    await storage.insert(QUEUE_TABLE, {
+      table_name: tableName,
+      row_id: rowId,
+      facebook_video_id: videoId,
+      old_url: oldUrl,
+      video_title: title,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: null,
+      priority: priority ? priority.score : 0,
+      runs_waited: priority ? priority.runsWaited : 0
+    });
+    return true;
+  } catch (error) {
+    log.error('Error adding to queue', { table: tableName, rowId, videoId, error: error.message });
+    return false;
+  }
+}
+
+// Pending items whose backoff has elapsed, highest priority first
+async function fetchDueItems(limit) {
+  try {
+    return await storage.select(QUEUE_TABLE, {
+      where: [
+        { column: 'status', op: 'eq', value: 'pending' },
+        {
+          or: [
+            { column: 'next_attempt_at', op: 'is', value: null },
+            { column: 'next_attempt_at', op: 'lte', value: new Date().toISOString() }
+          ]
+        }
+      ],
+      orderBy: [
+        { column: 'priority', ascending: false },
+        { column: 'created_at', ascending: true }
+      ],
+      limit: limit
+    });
+  } catch (error) {
+    log.error('Error fetching queue', { error: error.message });
+    return [];
+  }
+}
+
+// Called at the start of every run: each pending item has waited one more
+// run, which raises its priority. Items whose wait signal is already full are
+// left alone, so runs_waited stops at PRIORITY_WAIT_SATURATION_RUNS.
+async function agePendingItems() {
+  let rows;
+  try {
+    rows = await storage.select(QUEUE_TABLE, {
+      columns: ['id', 'priority', 'runs_waited'],
+      where: [
+        { column: 'status', op: 'eq', value: 'pending' },
+        { column: 'runs_waited', op: 'lt', value: WAIT_SATURATION_RUNS }
+      ]
+    });
+  } catch (error) {
+    log.error('Error loading queue for aging', { error: error.message });
+    return 0;
+  }
+
+  for (const row of rows) {
+    const runsWaited = (row.runs_waited || 0) + 1;
+    await setQueueStatus(row.id, {
+      runs_waited: runsWaited,
+      priority: rescoreWait(row.priority || 0, row.runs_waited || 0, runsWaited)
+    });
+  }
+  return rows.length;
+}
+
+// How many runs each pending item has waited, by "table:rowId"
+async function getPendingWaits() {
+  const waits = new Map();
+  try {
+    const rows = await storage.select(QUEUE_TABLE, {
+      columns: ['table_name', 'row_id', 'runs_waited'],
+      where: [{ column: 'status', op: 'eq', value: 'pending' }]
+    });
+    rows.forEach(row => {
+      const key = `${row.table_name}:${row.row_id}`;
+      waits.set(key, Math.max(waits.get(key) || 0, row.runs_waited || 0));
+    });
+  } catch (error) {
+    log.error('Error loading queue waits', { error: error.message });
+  }
+  return waits;
+}
+
+async function setQueueStatus(queueId, fields) {
+  try {
+    await storage.update(QUEUE_TABLE, byId(queueId), fields);
+  } catch (error) {
+    log.error('Error updating queue', { queueId, error: error.message });
+  }
+}
+
+async function markCompleted(item) {
+  await setQueueStatus(item.id, {
+    status: 'completed',
+    attempts: (item.attempts || 0) + 1,
+    processed_at: new Date().toISOString(),
+    error_message: null
+  });
+}
+
+async function markFailed(item, errorMsg) {
+  await setQueueStatus(item.id, {
+    status: 'failed',
+    attempts: (item.attempts || 0) + 1,
+    processed_at: new Date().toISOString(),
+    error_message: errorMsg
+  });
+}
+
+// Applies the retry policy to a failed attempt and returns what happened:
+// 'deferred' (budget problem, not counted), 'retry', 'dead_letter' or 'failed'
+async function recordFailedAttempt(item, errorType, errorMsg) {
+  if (BUDGET_ERRORS.includes(errorType)) {
+    return 'deferred';
+  }
+
+  if (!RETRYABLE_ERRORS.includes(errorType)) {
+    await markFailed(item, errorMsg);
+    return 'failed';
+  }
+
+  const attempts = (item.attempts || 0) + 1;
+
+  if (attempts >= MAX_ATTEMPTS) {
+    await setQueueStatus(item.id, {
+      status: 'dead_letter',
+      attempts: attempts,
+      processed_at: new Date().toISOString(),
+      error_message: `Gave up after ${attempts} attempts: ${errorMsg}`
+    });
+    return 'dead_letter';
+  }
+
+  await setQueueStatus(item.id, {
+    attempts: attempts,
+    next_attempt_at: nextAttemptAt(attempts),
+    error_message: errorMsg
+  });
+  return 'retry';
+}
+
+// Older versions inserted a new pending row every time the budget ran out.
+// Keep the oldest pending row per (table, row, video) and mark the rest merged.
+async function mergeDuplicates() {
+  let data;
+  try {
+    data = await storage.select(QUEUE_TABLE, {
+      columns: ['id', 'table_name', 'row_id', 'facebook_video_id', 'attempts', 'created_at'],
+      where: [{ column: 'status', op: 'eq', value: 'pending' }],
+      orderBy: [{ column: 'created_at', ascending: true }]
+    });
+  } catch (error) {
+    log.error('Error loading queue for merge', { error: error.message });
+    return 0;
+  }
+
+  const keep = new Map();
+  const duplicates = [];
+
+  for (const item of data) {
+    const key = queueKey(item);
+    if (keep.has(key)) {
+      const kept = keep.get(key);
+      kept.attempts = Math.max(kept.attempts || 0, item.attempts || 0);
+      duplicates.push(item);
+    } else {
+      keep.set(key, { ...item });
+    }
+  }
+
+  if (duplicates.length === 0) return 0;
+
+  for (const duplicate of duplicates) {
+    const kept = keep.get(queueKey(duplicate));
+    await setQueueStatus(duplicate.id, {
+      status: 'merged',
+      processed_at: new Date().toISOString(),
+      error_message: `Merged into queue item ${kept.id}`
+    });
+  }
+
+  for (const kept of keep.values()) {
+    await setQueueStatus(kept.id, { attempts: kept.attempts || 0 });
+  }
+
+  log.info('Merged duplicate queue items', { count: duplicates.length });
+  return duplicates.length;
+}
+
+async function countByStatus(status) {
+  return storage.count(QUEUE_TABLE, [{ column: 'status', op: 'eq', value: status }]);
+}
+
+async function getQueueStatus() {
+  try {
+    const counts = {};
+    for (const status of STATUSES) {
+      counts[status] = await countByStatus(status);
+    }
+
+    const waiting = await storage.count(QUEUE_TABLE, [
+      { column: 'status', op: 'eq', value: 'pending' },
+      { column: 'next_attempt_at', op: 'gt', value: new Date().toISOString() }
+    ]);
+
+    return {
+      pending: counts.pending,
+      waitingForRetry: waiting || 0,
+      completed: counts.completed,
+      failed: counts.failed,
+      deadLetter: counts.dead_letter,
+      merged: counts.merged,
+      maxAttempts: MAX_ATTEMPTS,
+      lastCheck: new Date().toISOString(),
+      message: 'Queue is drained at the start of every run'
+    };
+  } catch (error) {
+    log.error('Error getting queue status', error);
+    return { error: error.message };
+  }
+}
+
+module.exports = {
+  addToQueue,
+  fetchDueItems,
+  getPendingWaits,
+  agePendingItems,
+  markCompleted,
+  markFailed,
+  recordFailedAttempt,
+  mergeDuplicates,
+  getQueueStatus,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,66 @@
+const storage = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('urlAudit');
+
+// Every write to a video URL column goes through here, so the log is a
+// complete history of each row: automatic and manual refreshes and rollbacks.
+async function recordChange({ runId = null, tableName, rowId, videoId = null, oldUrl, newUrl, source = 'refresh' }) {
+  try {
+    await storage.insert('url_change_log', {
+      run_id: runId,
+      table_name: tableName,
+      row_id: rowId,
+      facebook_video_id: videoId,
+      old_url: oldUrl,
+      new_url: newUrl,
+      source: source,
+      changed_at: new Date().toISOString()
+    });
+    return true;
+  } catch (error) {
+    log.error('Error recording URL change', { table: tableName, rowId, videoId, error: error.message });
+    return false;
+  }
+}
+
+async function getRowHistory(tableName, rowId, limit = 20) {
+  return storage.select('url_change_log', {
+    where: [
+      { column: 'table_name', op: 'eq', value: tableName },
+      { column: 'row_id', op: 'eq', value: rowId }
+    ],
+    orderBy: [{ column: 'changed_at', ascending: false }],
+    limit: limit
+  });
+}
+
+// Refreshes (automatic or manual) that can still be undone, newest first
+async function getRevertibleChanges({ runId = null, tableName = null, rowId = null, limit = 1000 }) {
+  const where = [
+    { column: 'source', op: 'in', value: ['refresh', 'manual'] },
+    { column: 'rolled_back_at', op: 'is', value: null }
+  ];
+
+  if (runId) where.push({ column: 'run_id', op: 'eq', value: runId });
+  if (tableName) where.push({ column: 'table_name', op: 'eq', value: tableName });
+  if (rowId) where.push({ column: 'row_id', op: 'eq', value: rowId });
+
+  return storage.select('url_change_log', {
+    where,
+    orderBy: [{ column: 'changed_at', ascending: false }],
+    limit: limit
+  });
+}
+
+async function markRolledBack(changeId) {
+  try {
+    await storage.update('url_change_log', [{ column: 'id', op: 'eq', value: changeId }], {
+      rolled_back_at: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Error marking change as rolled back', { changeId, error: error.message });
+  }
+}
+
+module.exports = { recordChange, getRowHistory, getRevertibleChanges, markRolledBack };
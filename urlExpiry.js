@@ -0,0 +1,52 @@
+const { createLogger } = require('./logger');
+
+const log = createLogger('expiry');
+
+const DEFAULT_REFRESH_WINDOW_HOURS = 30;
+
+// A typo here would otherwise make every URL look fresh and nothing would
+// ever be refreshed
+function readRefreshWindow() {
+  const raw = process.env.REFRESH_WINDOW_HOURS;
+  if (raw === undefined || raw === '') return DEFAULT_REFRESH_WINDOW_HOURS;
+
+  const hours = Number(raw);
+  if (!Number.isFinite(hours) || hours < 0) {
+    log.warn('REFRESH_WINDOW_HOURS must be a number of 0 or more, using the default', { value: raw, default: DEFAULT_REFRESH_WINDOW_HOURS });
+    return DEFAULT_REFRESH_WINDOW_HOURS;
+  }
+  return hours;
+}
+
+const REFRESH_WINDOW_HOURS = readRefreshWindow();
+
+// fbcdn URLs are signed with an `oe` parameter: the expiry as a hex unix timestamp
+function parseUrlExpiry(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  let oe;
+  try {
+    oe = new URL(url).searchParams.get('oe');
+  } catch (error) {
+    return null;
+  }
+
+  if (!oe || !/^[0-9a-f]+$/i.test(oe)) return null;
+
+  const seconds = parseInt(oe, 16);
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+
+  return new Date(seconds * 1000);
+}
+
+// Returns 'unknown' (no usable expiry), 'expired', 'expiring_soon' or 'fresh'
+function classifyExpiry(expiresAt, now = Date.now()) {
+  if (!expiresAt || isNaN(expiresAt.getTime())) return 'unknown';
+
+  const remaining = expiresAt.getTime() - now;
+  if (remaining <= 0) return 'expired';
+  if (remaining <= REFRESH_WINDOW_HOURS * 60 * 60 * 1000) return 'expiring_soon';
+  return 'fresh';
+}
+
+module.exports = { parseUrlExpiry, classifyExpiry, REFRESH_WINDOW_HOURS };
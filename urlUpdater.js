@@ -1,457 +1,1080 @@
-const { createClient } = require('@supabase/supabase-js');
-const axios = require('axios');
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
-
-const FB_TOKEN = process.env.FACEBOOK_ACCESS_TOKEN;
-const TG_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const TG_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
-const MAX_API_CALLS = 190;
-
-let stats = {
-  totalChecked: 0,
-  alreadyValid: 0,
-  updated: 0,
-  failed: 0,
-  queued: 0,
-  apiCallsUsed: 0,
-  startTime: null,
-  episodesUpdated: 0,
-  moviesUpdated: 0,
-  failures: { notFound: [], permissionDenied: [], apiError: [] }
-};
+const storage = require('./storage');
+const runHistory = require('./runHistory');
+const urlAudit = require('./urlAudit');
+const {
+  addToQueue,
+  fetchDueItems,
+  getPendingWaits,
+  agePendingItems,
+  markCompleted,
+  markFailed,
+  recordFailedAttempt,
+  mergeDuplicates,
+  getQueueStatus
+} = require('./updateQueue');
+const { getTables, getTable, getAssetKinds } = require('./tableConfig');
+const { parseUrlExpiry, classifyExpiry, REFRESH_WINDOW_HOURS } = require('./urlExpiry');
+const { validateUrl, needsRefresh, OUTCOMES: CHECK_OUTCOMES } = require('./urlValidator');
+const { scorePriority } = require('./refreshPriority');
+const {
+  getFacebookVideoUrl,
+  resolveVideoBatch,
+  isTransient,
+  isBudgetExhausted,
+  resetUsage,
+  getUsage,
+  graphEvents,
+  BATCH_SIZE
+} = require('./facebookGraph');
+const { resolveWithPageTokens, checkTokenHealth, getPagePool } = require('./tokenManager');
+const { startProgress, reportProgress, finishProgress } = require('./runProgress');
+const {
+  acquireRunLock,
+  setLockRunId,
+  releaseRunLock,
+  getActiveRun,
+  requestCancel,
+  isCancelRequested
+} = require('./runLock');
+const metrics = require('./metrics');
+const { notify } = require('./notifiers');
+const runReport = require('./runReport');
+const videoTriage = require('./videoTriage');
+const { toPlainText } = require('./notifiers/format');
+const { createLogger, runWithContext } = require('./logger');
 
-async function sendTelegram(message) {
-  if (!TG_TOKEN || !TG_CHAT_ID) {
-    console.log('Telegram not configured, skipping notification');
-    return;
+const log = createLogger('urlUpdater');
+
+const DEFAULT_MAX_API_CALLS = 190;
+
+// A NaN cap would never compare as reached and silently lift the guard
+function readMaxApiCalls() {
+  const raw = process.env.MAX_API_CALLS;
+  if (raw === undefined || raw === '') return DEFAULT_MAX_API_CALLS;
+
+  const calls = Number(raw);
+  if (!Number.isInteger(calls) || calls < 1) {
+    log.warn('MAX_API_CALLS must be a whole number of 1 or more, using the default', { value: raw, default: DEFAULT_MAX_API_CALLS });
+    return DEFAULT_MAX_API_CALLS;
   }
-  
-  try {
-    await axios.post(`https://api.telegram.org/bot${TG_TOKEN}/sendMessage`, {
-      chat_id: TG_CHAT_ID,
-      text: message,
-      parse_mode: 'HTML'
-    });
-    console.log('Telegram notification sent successfully');
-  } catch (error) {
-    console.error('Telegram error:', error.message);
+  return calls;
+}
+
+const MAX_API_CALLS = readMaxApiCalls();
+
+function createStats() {
+  const updatedByTable = {};
+  getTables().forEach(table => { updatedByTable[table.name] = 0; });
+  const urlChecks = {};
+  CHECK_OUTCOMES.forEach(outcome => { urlChecks[outcome] = 0; });
+
+  return {
+    totalChecked: 0,
+    alreadyValid: 0,
+    expired: 0,
+    expiringSoon: 0,
+    skippedNotExpiring: 0,
+    updated: 0,
+    failed: 0,
+    queued: 0,
+    deadLettered: 0,
+    skippedUnavailable: 0,
+    markedUnavailable: 0,
+    apiCallsUsed: 0,
+    simulatedCalls: 0,
+    videosResolved: 0,
+    resolvedWithPageToken: 0,
+    cancelled: false,
+    dryRun: false,
+    resolve: false,
+    plan: [],
+    startTime: null,
+    updatedByTable,
+    urlChecks,
+    failures: { notFound: [], permissionDenied: [], apiError: [] }
+  };
+}
+
+let stats = null;
+let running = false;
+// The done promise of the run in progress on this instance
+let activeRun = null;
+
+// Also used by /check outside of runs; dry runs stay out of the metrics
+async function checkUrl(url) {
+  const check = await validateUrl(url);
+  if (!(running && stats && stats.dryRun)) {
+    metrics.recordUrlCheck(check.outcome, check.durationMs);
   }
+  return check;
 }
 
-async function isUrlValid(url) {
-  if (!url || url === 'NULL' || url === '') return false;
-  
-  try {
-    const response = await axios.head(url, { 
-      timeout: 5000,
-      maxRedirects: 5,
-      validateStatus: (status) => status === 200
-    });
-    return response.status === 200;
-  } catch (error) {
-    return false;
+// stats outlives its run, so calls from /check between runs must not land in
+// the last run's count. Token checks don't spend the video budget.
+function countApiCall({ kind }) {
+  if (running && stats && kind === 'video') stats.apiCallsUsed++;
+}
+
+graphEvents.on('call', countApiCall);
+
+// MAX_API_CALLS is only a fallback; the usage headers normally stop us first.
+// Dry runs that don't resolve count the batch calls they would have made.
+function budgetExhausted() {
+  return stats.apiCallsUsed + stats.simulatedCalls >= MAX_API_CALLS || isBudgetExhausted();
+}
+
+async function resolveChunk(videoIds) {
+  stats.videosResolved += videoIds.length;
+
+  if (stats.dryRun && !stats.resolve) {
+    stats.simulatedCalls++;
+    return new Map(videoIds.map(id => [String(id), { success: true, url: null }]));
   }
+
+  const options = { assets: getAssetKinds() };
+  const results = await resolveVideoBatch(videoIds, options);
+  await retryWithPageTokens(results, options);
+  return results;
 }
 
-async function getFacebookVideoUrl(videoId) {
-  try {
-    const response = await axios.get(
-      `https://graph.facebook.com/v18.0/${videoId}`,
-      {
-        params: { fields: 'source', access_token: FB_TOKEN },
-        timeout: 10000
-      }
-    );
-    
-    stats.apiCallsUsed++;
-    
-    if (response.data && response.data.source) {
-      return { success: true, url: response.data.source };
-    }
-    
-    return { success: false, error: 'no_source', message: 'No source URL found' };
-    
-  } catch (error) {
-    stats.apiCallsUsed++;
-    
-    if (error.response?.data?.error) {
-      const code = error.response.data.error.code;
-      const message = error.response.data.error.message || '';
-      
-      if (code === 100 || message.toLowerCase().includes('does not exist')) {
-        return { success: false, error: 'not_found', message: 'Video not found' };
-      }
-      
-      if (code === 200 || code === 10 || message.toLowerCase().includes('permission')) {
-        return { success: false, error: 'permission_denied', message: 'No permission' };
-      }
-      
-      if (code === 4 || code === 17 || message.toLowerCase().includes('rate limit')) {
-        return { success: false, error: 'rate_limit', message: 'Rate limit reached' };
-      }
-      
-      return { success: false, error: 'api_error', message: `API error: ${message}` };
+// The main token can't read videos of pages it doesn't manage; give those a
+// second chance with the page tokens in the pool.
+async function retryWithPageTokens(results, options) {
+  if (getPagePool().length === 0) return;
+
+  for (const [videoId, result] of results) {
+    if (result.success || result.error !== 'permission_denied') continue;
+    if (budgetExhausted()) break;
+
+    const retried = await resolveWithPageTokens(videoId, options);
+    if (retried.success) {
+      log.info('Resolved with a page token', { videoId, pageId: retried.pageId });
+      stats.resolvedWithPageToken++;
+      results.set(videoId, retried);
+    } else if (retried.error !== 'permission_denied') {
+      results.set(videoId, retried);
     }
-    
-    return { success: false, error: 'network_error', message: error.message };
   }
 }
 
-async function addToQueue(tableName, rowId, videoId, oldUrl, title = null) {
-  try {
-    const { error } = await supabase.from('url_update_queue').insert({
-      table_name: tableName,
-      row_id: rowId,
-      facebook_video_id: videoId,
-      old_url: oldUrl,
-      video_title: title,
-      status: 'pending'
-    });
-    
-    if (error) {
-      console.error('Error adding to queue:', error);
-      return false;
-    }
-    return true;
-  } catch (error) {
-    console.error('Exception adding to queue:', error);
-    return false;
+// Dry runs collect what they would have done instead of writing it
+function planAction(action, item) {
+  stats.plan.push({ action, ...item });
+  if (action === 'refresh') {
+    stats.updatedByTable[item.table] = (stats.updatedByTable[item.table] || 0) + 1;
   }
 }
 
-async function markQueueProcessed(queueId, status, errorMsg = null) {
-  try {
-    await supabase.from('url_update_queue').update({
-      status: status,
-      processed_at: new Date().toISOString(),
-      error_message: errorMsg
-    }).eq('id', queueId);
-  } catch (error) {
-    console.error('Exception updating queue:', error);
+// Counters always come from stats; callers add the phase and position
+function progress(fields, force = false) {
+  reportProgress({
+    ...fields,
+    updated: stats.updated,
+    failed: stats.failed,
+    queued: stats.queued,
+    apiCallsUsed: stats.apiCallsUsed
+  }, force);
+}
+
+// Dry runs only simulate, so they stay out of the metrics
+function recordMetric(name, ...args) {
+  if (!stats.dryRun) metrics[name](...args);
+}
+
+function recordFailure(result, failureInfo) {
+  stats.failed++;
+  recordMetric('recordFailed', failureInfo.table, result.error);
+
+  const failure = { ...failureInfo, reason: result.error, message: result.message || null };
+  if (result.error === 'not_found') {
+    stats.failures.notFound.push(failure);
+  } else if (result.error === 'permission_denied') {
+    stats.failures.permissionDenied.push(failure);
+  } else {
+    stats.failures.apiError.push(failure);
   }
 }
 
-async function updateVideoUrl(tableName, rowId, newUrl) {
-  try {
-    let updateData = {};
-    
-    if (tableName === 'episodes') {
-      updateData = { video_url: newUrl };
-    } else if (tableName === 'movies') {
-      updateData = { videoUrl: newUrl };
-    } else {
-      console.error(`Unknown table: ${tableName}`);
-      return false;
-    }
-    
-    const { error } = await supabase.from(tableName).update(updateData).eq('id', rowId);
-    
-    if (error) {
-      console.error(`Error updating ${tableName}:`, error);
-      return false;
+// Dry runs leave the triage counters alone
+async function recordPermanentFailure(video, result, entry) {
+  if (stats.dryRun || !videoTriage.isPermanentFailure(result.error)) return;
+  if (await videoTriage.recordPermanentFailure(video, result.error, result.message, entry)) {
+    stats.markedUnavailable++;
+  }
+}
+
+function videoColumns(table) {
+  const columns = [table.idColumn, table.titleColumn, table.videoUrlColumn, table.videoIdColumn];
+  if (table.expiresAtColumn) columns.push(table.expiresAtColumn);
+  if (table.popularityColumn) columns.push(table.popularityColumn);
+  if (table.releasedAtColumn) columns.push(table.releasedAtColumn);
+  return columns;
+}
+
+function toVideo(table, row) {
+  return {
+    table: table.name,
+    id: row[table.idColumn],
+    title: row[table.titleColumn],
+    url: row[table.videoUrlColumn],
+    videoId: row[table.videoIdColumn],
+    expiresAt: table.expiresAtColumn && row[table.expiresAtColumn] ? new Date(row[table.expiresAtColumn]) : null,
+    popularity: table.popularityColumn ? row[table.popularityColumn] : null,
+    releasedAt: table.releasedAtColumn && row[table.releasedAtColumn] ? new Date(row[table.releasedAtColumn]) : null
+  };
+}
+
+async function readCurrentUrl(table, rowId) {
+  const rows = await storage.select(table.name, {
+    columns: [table.videoUrlColumn],
+    where: [{ column: table.idColumn, op: 'eq', value: rowId }],
+    limit: 1
+  });
+  return rows[0] ? rows[0][table.videoUrlColumn] : undefined;
+}
+
+// Maps the extra Graph fields of a resolved video onto the table's
+// assetColumns. Kinds Graph didn't return are left alone, not cleared.
+function assetUpdates(table, assets) {
+  const fields = {};
+  if (!assets) return fields;
+
+  for (const [kind, column] of Object.entries(table.assetColumns)) {
+    if (kind === 'posterFormats') {
+      Object.entries(column).forEach(([filter, formatColumn]) => {
+        if (assets.posterFormats && assets.posterFormats[filter]) fields[formatColumn] = assets.posterFormats[filter];
+      });
+    } else if (assets[kind] !== undefined) {
+      fields[column] = assets[kind];
     }
+  }
+  return fields;
+}
+
+// change: { oldUrl, videoId, source, assets } for the audit log. oldUrl is
+// looked up when the caller doesn't have it (queue items may carry a stale
+// old_url). assets are written to the table's assetColumns but not audited,
+// so a rollback only restores the main URL.
+async function updateVideoUrl(tableName, rowId, newUrl, change = {}) {
+  // stats outlives its run, so only trust it while one is in progress
+  const inRun = running && stats;
+  if (inRun && stats.dryRun) {
+    throw new Error('updateVideoUrl called during a dry run');
+  }
+
+  const table = getTable(tableName);
+  if (!table) {
+    log.error('Unknown table', { table: tableName, rowId });
+    return false;
+  }
+
+  const source = change.source || 'refresh';
+  const updateData = { ...assetUpdates(table, change.assets), [table.videoUrlColumn]: newUrl };
+  if (table.expiresAtColumn) {
+    const expiresAt = parseUrlExpiry(newUrl);
+    updateData[table.expiresAtColumn] = expiresAt ? expiresAt.toISOString() : null;
+  }
+
+  try {
+    const oldUrl = change.oldUrl !== undefined ? change.oldUrl : await readCurrentUrl(table, rowId);
+
+    await storage.update(table.name, [{ column: table.idColumn, op: 'eq', value: rowId }], updateData);
     
-    if (tableName === 'episodes') {
-      stats.episodesUpdated++;
-    } else if (tableName === 'movies') {
-      stats.moviesUpdated++;
+    await urlAudit.recordChange({
+      runId: source === 'refresh' && inRun ? stats.runId : null,
+      tableName: table.name,
+      rowId: rowId,
+      videoId: change.videoId || null,
+      oldUrl: oldUrl === undefined ? null : oldUrl,
+      newUrl: newUrl,
+      source: source
+    });
+
+    if (source === 'refresh' && inRun) {
+      stats.updatedByTable[table.name] = (stats.updatedByTable[table.name] || 0) + 1;
     }
     
     return true;
   } catch (error) {
-    console.error(`Exception updating ${tableName}:`, error);
+    log.error('Error updating URL', { table: tableName, rowId, videoId: change.videoId, error: error.message });
     return false;
   }
 }
 
 async function processQueue() {
-  console.log('Checking for queued items from previous runs...');
-  
-  const { data: queueItems, error } = await supabase
-    .from('url_update_queue')
-    .select('*')
-    .eq('status', 'pending')
-    .order('created_at', { ascending: true })
-    .limit(MAX_API_CALLS);
-
-  if (error || !queueItems || queueItems.length === 0) {
-    console.log('No queued items to process');
+  log.info('Checking for queued items from previous runs');
+
+  if (!stats.dryRun) {
+    await mergeDuplicates();
+    await agePendingItems();
+  }
+  const dueItems = await fetchDueItems((MAX_API_CALLS - stats.apiCallsUsed) * BATCH_SIZE);
+
+  // Rows triage gave up on after they were queued aren't worth a Graph call.
+  // The scan counts them as skipped, so they aren't counted here.
+  const triage = new Map();
+  for (const tableName of new Set(dueItems.map(item => item.table_name))) {
+    triage.set(tableName, await videoTriage.getEntries(tableName));
+  }
+  const queueItems = [];
+  for (const item of dueItems) {
+    const entry = triage.get(item.table_name).get(String(item.row_id));
+    if (!entry || entry.status !== 'unavailable') {
+      queueItems.push(item);
+      continue;
+    }
+    log.info('Row is marked unavailable, dropping it from the queue', { table: item.table_name, rowId: item.row_id, videoId: item.facebook_video_id });
+    if (!stats.dryRun) {
+      await markFailed(item, 'Row is marked unavailable');
+    }
+  }
+
+  if (queueItems.length === 0) {
+    log.info('No queued items due for processing');
     return [];
   }
 
-  console.log(`Processing ${queueItems.length} queued items...`);
+  log.info('Processing queued items', { count: queueItems.length, batchSize: BATCH_SIZE });
+  progress({ phase: 'queue', table: null, done: 0, total: queueItems.length }, true);
 
-  for (const item of queueItems) {
-    if (stats.apiCallsUsed >= MAX_API_CALLS) {
-      console.log('API limit reached, stopping queue processing');
+  for (let start = 0; start < queueItems.length; start += BATCH_SIZE) {
+    if (isCancelRequested()) {
+      log.info('Run cancelled, leaving the rest of the queue for the next run');
       break;
     }
+    if (budgetExhausted()) {
+      log.warn('API budget exhausted, stopping queue processing');
+      break;
+    }
+
+    const chunk = queueItems.slice(start, start + BATCH_SIZE);
+    const results = await resolveChunk(chunk.map(item => item.facebook_video_id));
 
-    console.log(`[Queue] Processing: ${item.video_title || item.facebook_video_id}`);
-    const result = await getFacebookVideoUrl(item.facebook_video_id);
+    for (const [index, item] of chunk.entries()) {
+      progress({ done: start + index });
+      const itemLog = log.child({ table: item.table_name, rowId: item.row_id, videoId: item.facebook_video_id, source: 'queue' });
+      let result = results.get(String(item.facebook_video_id));
+      const planItem = { table: item.table_name, rowId: item.row_id, videoId: item.facebook_video_id, title: item.video_title, priority: item.priority, source: 'queue' };
 
-    if (result.success) {
-      const updated = await updateVideoUrl(item.table_name, item.row_id, result.url);
-      if (updated) {
-        await markQueueProcessed(item.id, 'completed');
+      if (result.success && stats.dryRun) {
+        planAction('refresh', { ...planItem, newUrl: result.url });
         stats.updated++;
-        console.log(`[Queue] ✓ Updated: ${item.video_title}`);
-      } else {
-        await markQueueProcessed(item.id, 'failed', 'Database update failed');
-        stats.failed++;
+        itemLog.info('Would update', { title: item.video_title });
+        continue;
       }
-    } else {
-      await markQueueProcessed(item.id, 'failed', result.message);
-      stats.failed++;
-      
-      const failureInfo = { id: item.facebook_video_id, title: item.video_title || 'Unknown' };
-      
-      if (result.error === 'not_found') {
-        stats.failures.notFound.push(failureInfo);
-      } else if (result.error === 'permission_denied') {
-        stats.failures.permissionDenied.push(failureInfo);
+
+      if (result.success) {
+        const updated = await updateVideoUrl(item.table_name, item.row_id, result.url, {
+          videoId: item.facebook_video_id,
+          assets: result.assets
+        });
+        if (updated) {
+          await markCompleted(item);
+          await videoTriage.recordSuccess(item.table_name, item.row_id, triage.get(item.table_name));
+          stats.updated++;
+          recordMetric('recordUpdated', item.table_name, 'queue');
+          itemLog.info('Updated', { title: item.video_title });
+          continue;
+        }
+        result = { success: false, error: 'db_error', message: 'Database update failed' };
+      }
+
+      if (stats.dryRun) {
+        if (isTransient(result)) {
+          planAction('queue', { ...planItem, reason: result.message });
+          stats.queued++;
+        } else {
+          recordFailure(result, { id: item.facebook_video_id, title: item.video_title || 'Unknown', table: item.table_name, rowId: item.row_id });
+        }
+        itemLog.info('Would not update', { title: item.video_title, reason: result.error, message: result.message });
+        continue;
+      }
+
+      const outcome = await recordFailedAttempt(item, result.error, result.message);
+
+      if (outcome === 'deferred' || outcome === 'retry') {
+        stats.queued++;
+        recordMetric('recordQueued', item.table_name);
+        itemLog.info(outcome === 'retry' ? 'Retry scheduled' : 'Deferred', { title: item.video_title, reason: result.error, message: result.message });
       } else {
-        stats.failures.apiError.push(failureInfo);
+        if (outcome === 'dead_letter') stats.deadLettered++;
+        recordFailure(result, { id: item.facebook_video_id, title: item.video_title || 'Unknown', table: item.table_name, rowId: item.row_id });
+        await recordPermanentFailure({ table: item.table_name, rowId: item.row_id, videoId: item.facebook_video_id, title: item.video_title }, result, triage.get(item.table_name).get(String(item.row_id)));
+        itemLog.warn(outcome === 'dead_letter' ? 'Dead-lettered' : 'Failed', { title: item.video_title, reason: result.error, message: result.message });
       }
-      
-      console.log(`[Queue] ✗ Failed: ${item.video_title} - ${result.message}`);
     }
   }
 }
 
-async function processFreshVideos() {
-  console.log('\n=== Checking All Videos (24-hour cycle) ===\n');
-  
-  const tables = [
-    { name: 'episodes', videoUrlColumn: 'video_url', videoIdColumn: 'facebook_video_id' },
-    { name: 'movies', videoUrlColumn: 'videoUrl', videoIdColumn: 'facebookVideoId' }
-  ];
+// Checking costs no Graph calls, so every table is checked before any of the
+// budget is spent. Returns the videos that need a refresh, each with its
+// table's triage entries and its priority.
+async function findCandidates() {
+  const waits = await getPendingWaits();
+  const candidates = [];
+
+  for (const table of getTables()) {
+    if (isCancelRequested()) {
+      log.info('Run cancelled, skipping the remaining tables');
+      break;
+    }
 
-  for (const table of tables) {
-    console.log(`\nChecking ${table.name} table...`);
+    log.info('Checking table', { table: table.name });
     
-    const { data: videos, error } = await supabase
-      .from(table.name)
-      .select(`id, title, ${table.videoUrlColumn}, ${table.videoIdColumn}`)
-      .not(table.videoUrlColumn, 'is', null)
-      .not(table.videoIdColumn, 'is', null)
-      .neq(table.videoUrlColumn, 'NULL');
-
-    if (error || !videos || videos.length === 0) {
-      console.log(`No videos found in ${table.name}`);
+    let rows;
+    try {
+      rows = await storage.select(table.name, {
+        columns: videoColumns(table),
+        where: [
+          { column: table.videoUrlColumn, op: 'is', value: null, not: true },
+          { column: table.videoIdColumn, op: 'is', value: null, not: true },
+          { column: table.videoUrlColumn, op: 'neq', value: 'NULL' },
+          ...table.filters
+        ]
+      });
+    } catch (error) {
+      log.error('Error loading table', { table: table.name, error: error.message });
       continue;
     }
 
-    console.log(`Found ${videos.length} videos in ${table.name}`);
+    if (rows.length === 0) {
+      log.info('No videos found', { table: table.name });
+      continue;
+    }
+
+    // Normalise configured column names so the loops below are table-agnostic.
+    // Rows triage gave up on are skipped until an admin looks at them.
+    const triage = await videoTriage.getEntries(table.name);
+    const videos = [];
+    rows.forEach(row => {
+      const video = toVideo(table, row);
+      const entry = triage.get(String(video.id));
+      if (entry && entry.status === 'unavailable') {
+        stats.skippedUnavailable++;
+      } else {
+        videos.push(video);
+      }
+    });
+
+    log.info('Found videos', { table: table.name, count: videos.length, skippedUnavailable: rows.length - videos.length });
+    progress({ phase: 'check', table: table.name, done: 0, total: videos.length }, true);
 
     for (let i = 0; i < videos.length; i++) {
+      // Candidates found so far still get queued by refreshCandidates
+      if (isCancelRequested()) break;
+
       const video = videos[i];
+      const itemLog = log.child({ table: table.name, rowId: video.id, videoId: video.videoId, position: `${i + 1}/${videos.length}` });
+      stats.totalChecked++;
+      recordMetric('recordChecked', table.name);
+      progress({ done: i });
       
-      if (stats.apiCallsUsed >= MAX_API_CALLS) {
-        console.log(`\nAPI limit reached. Queueing remaining ${videos.length - i} videos...`);
-        
-        for (let j = i; j < videos.length; j++) {
-          const v = videos[j];
-          const added = await addToQueue(
-            table.name,
-            v.id,
-            v[table.videoIdColumn],
-            v[table.videoUrlColumn],
-            v.title
-          );
-          if (added) stats.queued++;
+      const expiresAt = parseUrlExpiry(video.url) || video.expiresAt;
+      const expiry = classifyExpiry(expiresAt);
+
+      if (expiry === 'fresh') {
+        stats.skippedNotExpiring++;
+        recordMetric('recordValid', table.name, 'expiry');
+        itemLog.debug('Not near expiry', { title: video.title });
+        continue;
+      }
+
+      if (expiry === 'expiring_soon') {
+        stats.expiringSoon++;
+        itemLog.info('Expiring soon', { title: video.title });
+      } else if (expiry === 'expired') {
+        stats.expired++;
+        itemLog.info('Expired', { title: video.title });
+      } else {
+        // No signed expiry on this URL, fall back to probing it
+        const check = await checkUrl(video.url);
+        stats.urlChecks[check.outcome]++;
+
+        if (check.outcome === 'valid') {
+          stats.alreadyValid++;
+          recordMetric('recordValid', table.name, 'head');
+          itemLog.debug('Valid', { title: video.title, method: check.method });
+          continue;
+        }
+
+        // A flaky CDN or an odd answer isn't worth a Graph call; the next
+        // run checks again
+        if (!needsRefresh(check)) {
+          itemLog.info('Check inconclusive, leaving as is', {
+            title: video.title,
+            outcome: check.outcome,
+            status: check.status,
+            reason: check.reason,
+            attempts: check.attempts
+          });
+          continue;
         }
-        break;
+
+        stats.expired++;
+        itemLog.info('Expired', { title: video.title, check: check.outcome, status: check.status, reason: check.reason });
       }
 
-      stats.totalChecked++;
-      
-      const currentUrl = video[table.videoUrlColumn];
-      const isValid = await isUrlValid(currentUrl);
-      
-      if (isValid) {
-        stats.alreadyValid++;
-        console.log(`[${i + 1}/${videos.length}] ✓ Valid: ${video.title}`);
+      const runsWaited = waits.get(`${table.name}:${video.id}`) || 0;
+      const priority = { ...scorePriority({ ...video, expiresAt, runsWaited }), runsWaited };
+      candidates.push({ ...video, triage, priority });
+    }
+  }
+
+  return candidates;
+}
+
+async function queueCandidate(video, reason) {
+  if (stats.dryRun) {
+    planAction('queue', { ...candidatePlanItem(video), reason });
+    stats.queued++;
+    return;
+  }
+
+  const added = await addToQueue(video.table, video.id, video.videoId, video.url, video.title, video.priority);
+  if (added) {
+    stats.queued++;
+    metrics.recordQueued(video.table);
+  }
+}
+
+function candidatePlanItem(video) {
+  return { table: video.table, rowId: video.id, videoId: video.videoId, title: video.title, priority: video.priority.score };
+}
+
+async function refreshCandidates(candidates) {
+  log.info('Refreshing URLs', { count: candidates.length, batchSize: BATCH_SIZE, topPriority: candidates[0].priority.score });
+  progress({ phase: 'refresh', table: null, done: 0, total: candidates.length }, true);
+
+  for (let start = 0; start < candidates.length; start += BATCH_SIZE) {
+    if (budgetExhausted() || isCancelRequested()) {
+      const reason = isCancelRequested() ? 'Run cancelled' : 'API budget exhausted';
+      log.warn(`${reason}, queueing the remaining videos`, { count: candidates.length - start, highestLeft: candidates[start].priority.score });
+
+      for (const video of candidates.slice(start)) {
+        await queueCandidate(video, reason);
+      }
+      break;
+    }
+
+    const chunk = candidates.slice(start, start + BATCH_SIZE);
+    const results = await resolveChunk(chunk.map(video => video.videoId));
+
+    for (const [index, video] of chunk.entries()) {
+      progress({ done: start + index });
+      const itemLog = log.child({ table: video.table, rowId: video.id, videoId: video.videoId, priority: video.priority.score });
+      let result = results.get(String(video.videoId));
+
+      if (result.success && stats.dryRun) {
+        planAction('refresh', { ...candidatePlanItem(video), newUrl: result.url });
+        stats.updated++;
+        itemLog.info('Would update', { title: video.title });
         continue;
       }
 
-      console.log(`[${i + 1}/${videos.length}] ⚠ Expired: ${video.title} - Updating...`);
-      
-      const result = await getFacebookVideoUrl(video[table.videoIdColumn]);
-      
       if (result.success) {
-        const updated = await updateVideoUrl(table.name, video.id, result.url);
+        const updated = await updateVideoUrl(video.table, video.id, result.url, {
+          oldUrl: video.url,
+          videoId: video.videoId,
+          assets: result.assets
+        });
         if (updated) {
+          await videoTriage.recordSuccess(video.table, video.id, video.triage);
           stats.updated++;
-          console.log(`[${i + 1}/${videos.length}] ✓ Updated: ${video.title}`);
-        } else {
-          stats.failed++;
+          metrics.recordUpdated(video.table, 'scan');
+          itemLog.info('Updated', { title: video.title });
+          continue;
         }
+        result = { success: false, error: 'db_error', message: 'Database update failed' };
+      }
+
+      if (isTransient(result)) {
+        await queueCandidate(video, result.message);
+        itemLog.info('Queued', { title: video.title, reason: result.error, message: result.message });
       } else {
-        stats.failed++;
-        
-        const failureInfo = { id: video[table.videoIdColumn], title: video.title };
-        
-        if (result.error === 'not_found') {
-          stats.failures.notFound.push(failureInfo);
-        } else if (result.error === 'permission_denied') {
-          stats.failures.permissionDenied.push(failureInfo);
-        } else {
-          stats.failures.apiError.push(failureInfo);
-        }
-        
-        console.log(`[${i + 1}/${videos.length}] ✗ Failed: ${video.title} - ${result.message}`);
+        recordFailure(result, { id: video.videoId, title: video.title, table: video.table, rowId: video.id });
+        await recordPermanentFailure({ table: video.table, rowId: video.id, videoId: video.videoId, title: video.title }, result, video.triage.get(String(video.id)));
+        itemLog.warn('Failed', { title: video.title, reason: result.error, message: result.message });
       }
     }
   }
 }
 
-function generateReport() {
-  const duration = ((Date.now() - stats.startTime) / 1000).toFixed(0);
-  const minutes = Math.floor(duration / 60);
-  const seconds = duration % 60;
-  
-  let report = `🔄 <b>CDN URL Update Report (24h Cycle)</b>\n`;
-  report += `━━━━━━━━━━━━━━━━━\n`;
-  report += `⏰ ${new Date().toLocaleString('en-US', { timeZone: 'UTC' })} UTC\n\n`;
-  
-  report += `📊 <b>Summary:</b>\n`;
-  report += `✅ Total Checked: ${stats.totalChecked}\n`;
-  report += `🟢 Already Valid: ${stats.alreadyValid}\n`;
-  report += `🔄 Successfully Updated: ${stats.updated}\n`;
-  report += `❌ Failed: ${stats.failed}\n`;
-  
-  if (stats.queued > 0) {
-    report += `⏳ Queued for Next Run: ${stats.queued}\n`;
-  }
-  
-  report += `\n📋 <b>Updates by Table:</b>\n`;
-  report += `🎬 Episodes: ${stats.episodesUpdated}\n`;
-  report += `🎥 Movies: ${stats.moviesUpdated}\n`;
-  
-  report += `\n📈 <b>API Usage:</b> ${stats.apiCallsUsed}/200\n`;
-  report += `⏱️ <b>Duration:</b> ${minutes}m ${seconds}s\n`;
-  
-  if (stats.failures.notFound.length > 0) {
-    report += `\n⚠️ <b>Videos Not Found (${stats.failures.notFound.length}):</b>\n`;
-    stats.failures.notFound.slice(0, 5).forEach(item => {
-      report += `  ❌ ${item.title}\n`;
-    });
-    if (stats.failures.notFound.length > 5) {
-      report += `  ... and ${stats.failures.notFound.length - 5} more\n`;
+async function processFreshVideos() {
+  log.info('Checking all videos', { refreshWindowHours: REFRESH_WINDOW_HOURS });
+
+  const candidates = await findCandidates();
+  if (candidates.length === 0) return;
+
+  // Highest score first, across all tables, so whatever the budget can't
+  // cover is the least important work. Ties keep table order.
+  candidates.sort((a, b) => b.priority.score - a.priority.score);
+  await refreshCandidates(candidates);
+}
+
+function buildRunReport(status, errorMsg) {
+  const { getNextRun } = require('./scheduler');
+  const next = getNextRun();
+
+  return runReport.fromStats(stats, {
+    status,
+    error: errorMsg,
+    apiCallLimit: MAX_API_CALLS,
+    peakUsagePercent: getUsage().peakPercent,
+    nextRun: next ? { schedule: next.name, at: next.nextRun } : null
+  });
+}
+
+// Sends any token warnings (expiring soon, invalid, missing scopes) that
+// haven't gone out today. Never throws: a failed check must not stop a run.
+async function checkFacebookTokens() {
+  try {
+    const health = await checkTokenHealth();
+    if (health.warnings.length > 0) {
+      await notify({
+        type: 'token',
+        title: 'Facebook Token Warning',
+        html: `🔑 <b>Facebook Token Warning</b>\n\n${health.warnings.join('\n')}\n\nRenew the affected tokens before they expire (POST /tokens/exchange helps with the main one).`,
+        warnings: health.warnings
+      });
     }
+    return health;
+  } catch (error) {
+    log.error('Token health check failed', { error: error.message });
+    return null;
   }
-  
-  if (stats.failures.permissionDenied.length > 0) {
-    report += `\n🔒 <b>Permission Denied (${stats.failures.permissionDenied.length}):</b>\n`;
-    stats.failures.permissionDenied.slice(0, 3).forEach(item => {
-      report += `  🔒 ${item.title}\n`;
-    });
-    if (stats.failures.permissionDenied.length > 3) {
-      report += `  ... and ${stats.failures.permissionDenied.length - 3} more\n`;
-    }
+}
+
+function isUpdateRunning() {
+  return running;
+}
+
+// mode 'full' drains the queue and then scans every table; 'queue' only drains the queue.
+// trigger is recorded in run history: 'cron', 'bot' or 'http'.
+// dryRun simulates the run without writing anything (resolve: also fetch the new URLs).
+// Only one run at a time across all instances; a refused call resolves with
+// status 'already_running'.
+async function processUrlUpdates(options = {}) {
+  const start = await startUpdate(options);
+  if (!start.started) {
+    return { runId: start.runId, status: start.status, error: start.error, dryRun: !!options.dryRun, report: null };
   }
-  
-  if (stats.queued === 0 && stats.failed === 0 && stats.updated > 0) {
-    report += `\n\n✅ <b>All expired URLs updated successfully!</b>`;
-  } else if (stats.queued === 0 && stats.totalChecked === stats.alreadyValid) {
-    report += `\n\n✅ <b>All URLs are still valid. No updates needed.</b>`;
-  } else if (stats.queued > 0) {
-    report += `\n\n💡 <b>Note:</b> ${stats.queued} items queued for next 24-hour run.`;
+  return start.done;
+}
+
+// Rollbacks and single-row refreshes must not race a run on any instance
+async function assertNoActiveRun(action) {
+  const active = await getActiveRun();
+  if (active) {
+    throw new Error(`Cannot ${action} while an update is running${active.runId ? ` (run #${active.runId})` : ''}`);
   }
-  
-  report += `\n\n🔄 Next update: 24 hours from now`;
-  
-  return report;
 }
 
-async function processUrlUpdates() {
-  stats = {
-    totalChecked: 0,
-    alreadyValid: 0,
-    updated: 0,
-    failed: 0,
-    queued: 0,
-    apiCallsUsed: 0,
-    startTime: Date.now(),
-    episodesUpdated: 0,
-    moviesUpdated: 0,
-    failures: { notFound: [], permissionDenied: [], apiError: [] }
+// Takes the run lock and starts the run without waiting for it to finish.
+// Resolves to { started: true, runId, done } where done resolves to the
+// result of processUrlUpdates, or to { started: false, status, runId, error }
+// when another run holds the lock (runId is that run's).
+async function startUpdate(options = {}) {
+  const mode = options.mode || 'full';
+  const trigger = options.trigger || 'http';
+  const dryRun = !!options.dryRun;
+
+  let acquired;
+  try {
+    acquired = await acquireRunLock(trigger);
+  } catch (error) {
+    log.error('Could not take the run lock', { trigger, error: error.message });
+    return { started: false, status: 'failed', runId: null, error: `Run lock unavailable: ${error.message}` };
+  }
+
+  if (!acquired) {
+    const active = await getActiveRun();
+    const runId = active ? active.runId : null;
+    log.info('Update refused, a run is already in progress', { trigger, runId });
+    return {
+      started: false,
+      status: 'already_running',
+      runId,
+      error: `An update is already running${runId ? ` (run #${runId})` : ''}`
+    };
+  }
+
+  running = true;
+  stats = createStats();
+  stats.startTime = Date.now();
+  stats.mode = mode;
+  stats.trigger = trigger;
+  stats.dryRun = dryRun;
+  stats.resolve = dryRun && !!options.resolve;
+  resetUsage();
+
+  // Dry runs leave no trace in the database, run history included
+  stats.runId = dryRun ? null : await runHistory.startRun(trigger, mode);
+  await setLockRunId(stats.runId);
+  startProgress({ runId: stats.runId, mode, trigger, dryRun });
+
+  // Every line logged by the run carries its ID. Dry runs (and runs whose
+  // history insert failed) have none in the database, so they get a local one.
+  const logContext = { runId: stats.runId || `${dryRun ? 'dry' : 'local'}-${Date.now().toString(36)}` };
+  if (dryRun) logContext.dryRun = true;
+  const done = runWithContext(logContext, () => executeRun(mode, trigger, dryRun));
+  activeRun = done;
+  return { started: true, runId: stats.runId, done };
+}
+
+// For shutdown: cancels the run in progress on this instance and waits up to
+// timeoutMs for it to queue what's left and record its result. A run that
+// doesn't stop in time is recorded as failed, so its history row doesn't
+// stay 'running'.
+async function stopActiveRun(timeoutMs) {
+  if (!running || !activeRun) return;
+
+  await requestCancel();
+
+  let timer;
+  const timedOut = new Promise(resolve => {
+    timer = setTimeout(() => resolve('timeout'), timeoutMs);
+  });
+  const outcome = await Promise.race([activeRun, timedOut]);
+  clearTimeout(timer);
+
+  if (outcome === 'timeout' && !stats.dryRun) {
+    log.warn('Run did not stop before shutdown, recording it as failed', { runId: stats.runId });
+    await runHistory.finishRun(stats.runId, stats, 'failed', 'Server shut down before the run finished');
+  }
+}
+
+function runEvent(type, fields) {
+  return {
+    type,
+    runId: stats.runId,
+    mode: stats.mode,
+    trigger: stats.trigger,
+    dryRun: stats.dryRun,
+    ...fields
   };
+}
+
+function finishTitle(status) {
+  const run = stats.runId ? ` (run #${stats.runId})` : '';
+  if (status === 'failed') return `URL Update Failed${run}`;
+  if (status === 'cancelled') return `URL Update Cancelled${run}`;
+  if (stats.dryRun) return 'URL Update Dry Run Report';
+  return `${stats.mode === 'queue' ? 'CDN URL Queue Drain Report' : 'CDN URL Update Report'}${run}`;
+}
+
+// The full failure list travels as a CSV attachment, for channels that
+// can carry one (Telegram, email)
+function finishEvent(status, errorMsg, html, report) {
+  const { buildReportKeyboard } = require('./telegramBot');
+  const attachments = report.failures.length > 0
+    ? [{
+      filename: runReport.csvFilename(report),
+      contentType: 'text/csv',
+      content: runReport.toCsv(report),
+      caption: `📄 All ${report.failures.length} failures${report.runId ? ` of run #${report.runId}` : ''}`
+    }]
+    : [];
+
+  return runEvent('finish', {
+    title: finishTitle(status),
+    html,
+    status,
+    error: errorMsg,
+    counts: {
+      totalChecked: stats.totalChecked,
+      alreadyValid: stats.alreadyValid,
+      expired: stats.expired,
+      expiringSoon: stats.expiringSoon,
+      skippedNotExpiring: stats.skippedNotExpiring,
+      updated: stats.updated,
+      failed: stats.failed,
+      queued: stats.queued,
+      deadLettered: stats.deadLettered,
+      apiCallsUsed: stats.apiCallsUsed
+    },
+    updatedByTable: stats.updatedByTable,
+    durationSeconds: Math.round((Date.now() - stats.startTime) / 1000),
+    report,
+    attachments,
+    replyMarkup: status === 'failed' ? null : buildReportKeyboard(stats)
+  });
+}
+
+async function executeRun(mode, trigger, dryRun) {
+  let status = 'completed';
+  let errorMsg = null;
+  let report = null;
+  let reportData = null;
+
+  // Manual dry runs hand the report back to the caller instead of broadcasting it
+  const broadcast = !dryRun || trigger === 'cron';
 
-  console.log('\n========================================');
-  console.log('=== 24-Hour URL Update Process Started ===');
-  console.log(`=== Time: ${new Date().toISOString()} ===`);
-  console.log('========================================\n');
+  log.info('URL update started', { mode, trigger });
   
-  await sendTelegram('🚀 <b>24-Hour URL Update Started</b>\n\nChecking all video URLs for expiration...');
+  if (mode === 'full' && !dryRun) {
+    const sent = await notify(runEvent('start', {
+      title: `URL Update Started${stats.runId ? ` (run #${stats.runId})` : ''}`,
+      html: '🚀 <b>URL Update Started</b>\n\nChecking all video URLs for expiration...'
+    }));
+    // Telegram start messages turn into live progress. Bot-triggered runs
+    // already get one in the chat that asked.
+    if (trigger !== 'bot') {
+      const { followProgress } = require('./telegramBot');
+      sent
+        .filter(delivery => delivery.ok && delivery.type === 'telegram' && delivery.result)
+        .forEach(delivery => followProgress(delivery.chatId, delivery.result.message_id));
+    }
+    await checkFacebookTokens();
+  }
 
   try {
     await processQueue();
 
-    if (stats.apiCallsUsed < MAX_API_CALLS) {
-      console.log(`\nAPI calls remaining: ${MAX_API_CALLS - stats.apiCallsUsed}`);
-      console.log('Scanning all videos in movies and episodes tables...\n');
+    if (mode === 'queue') {
+      log.info('Queue-only run, skipping table scan');
+    } else if (isCancelRequested()) {
+      log.info('Run cancelled during queue processing');
+    } else if (!budgetExhausted()) {
+      log.info('Scanning all tables', {
+        tables: getTables().map(t => t.name),
+        apiCallsRemaining: MAX_API_CALLS - stats.apiCallsUsed,
+        batchSize: BATCH_SIZE
+      });
       await processFreshVideos();
     } else {
-      console.log('\nAPI limit reached during queue processing');
+      log.warn('API budget exhausted during queue processing');
     }
 
-    const report = generateReport();
+    if (isCancelRequested()) {
+      stats.cancelled = true;
+      status = 'cancelled';
+    }
+
+    reportData = buildRunReport(status, null);
+    report = runReport.renderHtml(reportData);
     
-    console.log('\n========================================');
-    console.log('=== Process Complete ===');
-    console.log('========================================');
-    console.log(report.replace(/<[^>]*>/g, ''));
-    console.log('========================================\n');
+    log.info('URL update finished', {
+      status,
+      updated: stats.updated,
+      failed: stats.failed,
+      queued: stats.queued,
+      apiCallsUsed: stats.apiCallsUsed,
+      report: toPlainText(report)
+    });
     
-    await sendTelegram(report);
+    // Hourly queue drains would be noisy, so only report the ones that did something
+    if (broadcast && (mode === 'full' || stats.updated > 0 || stats.failed > 0)) {
+      await notify(finishEvent(status, null, report, reportData));
+    }
 
   } catch (error) {
-    console.error('\n========================================');
-    console.error('=== PROCESS ERROR ===');
-    console.error('========================================');
-    console.error('Error details:', error);
-    console.error('========================================\n');
+    log.error('URL update failed', error);
     
-    await sendTelegram(`❌ <b>URL Update Error</b>\n\nError: ${error.message}\n\nTime: ${new Date().toISOString()}`);
+    status = 'failed';
+    errorMsg = error.message;
+    if (broadcast) {
+      await notify(finishEvent(status, errorMsg, `❌ <b>URL Update Error</b>\n\nError: ${error.message}\n\nTime: ${new Date().toISOString()}`, buildRunReport(status, errorMsg)));
+    }
+  } finally {
+    if (!dryRun) {
+      await runHistory.finishRun(stats.runId, stats, status, errorMsg);
+      metrics.recordRun(mode, status, Date.now() - stats.startTime);
+    }
+    finishProgress(status, {
+      updated: stats.updated,
+      failed: stats.failed,
+      queued: stats.queued,
+      apiCallsUsed: stats.apiCallsUsed,
+      error: errorMsg
+    });
+    running = false;
+    await releaseRunLock();
   }
+
+  return {
+    runId: stats.runId,
+    status,
+    error: errorMsg,
+    dryRun,
+    report,
+    reportData,
+    plan: dryRun ? stats.plan : undefined
+  };
 }
 
-async function getQueueStatus() {
-  try {
-    const { count: pending } = await supabase
-      .from('url_update_queue')
-      .select('*', { count: 'exact', head: true })
-      .eq('status', 'pending');
+// Only reverts a change if the row still holds the URL that change wrote,
+// so a rollback never clobbers a newer refresh or a manual edit.
+async function rollbackChanges(changes) {
+  const summary = { reverted: 0, failed: 0, skipped: [] };
 
-    const { count: completed } = await supabase
-      .from('url_update_queue')
-      .select('*', { count: 'exact', head: true })
-      .eq('status', 'completed');
+  for (const change of changes) {
+    const table = getTable(change.table_name);
+    if (!table) {
+      summary.skipped.push({ table: change.table_name, rowId: change.row_id, reason: 'Unknown table' });
+      continue;
+    }
 
-    const { count: failed } = await supabase
-      .from('url_update_queue')
-      .select('*', { count: 'exact', head: true })
-      .eq('status', 'failed');
+    const currentUrl = await readCurrentUrl(table, change.row_id);
+    if (currentUrl !== change.new_url) {
+      summary.skipped.push({ table: change.table_name, rowId: change.row_id, reason: 'URL changed since' });
+      continue;
+    }
 
-    return {
-      pending: pending || 0,
-      completed: completed || 0,
-      failed: failed || 0,
-      lastCheck: new Date().toISOString(),
-      message: 'Queue runs every 24 hours'
-    };
-  } catch (error) {
-    console.error('Error getting queue status:', error);
-    return { error: error.message };
+    const reverted = await updateVideoUrl(change.table_name, change.row_id, change.old_url, {
+      oldUrl: currentUrl,
+      videoId: change.facebook_video_id,
+      source: 'rollback'
+    });
+
+    if (reverted) {
+      await urlAudit.markRolledBack(change.id);
+      summary.reverted++;
+    } else {
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+async function rollbackRun(runId) {
+  await assertNoActiveRun('roll back');
+
+  const changes = await urlAudit.getRevertibleChanges({ runId });
+  log.info('Rolling back run', { rolledBackRunId: runId, changes: changes.length });
+  return { runId, changes: changes.length, ...(await rollbackChanges(changes)) };
+}
+
+async function rollbackRow(tableName, rowId) {
+  await assertNoActiveRun('roll back');
+  if (!getTable(tableName)) throw new Error(`Unknown table: ${tableName}`);
+
+  const changes = await urlAudit.getRevertibleChanges({ tableName, rowId, limit: 1 });
+  log.info('Rolling back last URL change', { table: tableName, rowId });
+  return { tableName, rowId, changes: changes.length, ...(await rollbackChanges(changes)) };
+}
+
+// Every row, across all tables, that points at this Facebook video
+async function findVideoRows(videoId) {
+  const found = [];
+  for (const table of getTables()) {
+    const rows = await storage.select(table.name, {
+      columns: videoColumns(table),
+      where: [{ column: table.videoIdColumn, op: 'eq', value: String(videoId) }],
+      limit: 10
+    });
+    rows.forEach(row => found.push(toVideo(table, row)));
+  }
+  return found;
+}
+
+// Title search across all tables (case-insensitive substring)
+async function findVideos(query, limit = 10) {
+  const found = [];
+
+  for (const table of getTables()) {
+    if (found.length >= limit) break;
+    const rows = await storage.select(table.name, {
+      columns: videoColumns(table),
+      where: [{ column: table.titleColumn, op: 'ilike', value: `%${query}%` }, ...table.filters],
+      orderBy: [{ column: table.titleColumn, ascending: true }],
+      limit: limit - found.length
+    });
+    rows.forEach(row => found.push(toVideo(table, row)));
+  }
+
+  return found;
+}
+
+// What the database holds for a video, whether that URL still works and
+// what the Graph API returns for it right now
+async function checkVideo(videoId) {
+  const rows = await findVideoRows(videoId);
+
+  for (const row of rows) {
+    row.expiry = classifyExpiry(parseUrlExpiry(row.url) || row.expiresAt);
+    row.check = await checkUrl(row.url);
+    row.valid = row.check.outcome === 'valid';
   }
+
+  return { videoId: String(videoId), rows, graph: await testFacebookVideo(videoId) };
+}
+
+// Refreshes a single row outside of a run
+async function refreshRow(tableName, rowId) {
+  await assertNoActiveRun('refresh');
+
+  const table = getTable(tableName);
+  if (!table) throw new Error(`Unknown table: ${tableName}`);
+
+  const rows = await storage.select(table.name, {
+    columns: videoColumns(table),
+    where: [{ column: table.idColumn, op: 'eq', value: rowId }],
+    limit: 1
+  });
+  if (rows.length === 0) throw new Error(`${tableName} #${rowId} not found`);
+
+  const video = toVideo(table, rows[0]);
+  if (!video.videoId) throw new Error(`${tableName} #${rowId} has no Facebook video ID`);
+
+  const result = await testFacebookVideo(video.videoId);
+  if (!result.success) {
+    metrics.recordFailed(table.name, result.error);
+    return { success: false, table: tableName, rowId, title: video.title, error: result.error, message: result.message };
+  }
+
+  const updated = await updateVideoUrl(table.name, video.id, result.url, {
+    oldUrl: video.url,
+    videoId: video.videoId,
+    source: 'manual',
+    assets: result.assets
+  });
+
+  if (updated) {
+    await videoTriage.recordSuccess(table.name, video.id);
+    metrics.recordUpdated(table.name, 'manual');
+  } else {
+    metrics.recordFailed(table.name, 'db_error');
+  }
+  log.info(updated ? 'Manual refresh done' : 'Manual refresh could not write the URL', {
+    table: tableName,
+    rowId,
+    videoId: video.videoId,
+    title: video.title
+  });
+
+  return {
+    success: updated,
+    table: tableName,
+    rowId,
+    title: video.title,
+    oldUrl: video.url,
+    newUrl: result.url,
+    error: updated ? null : 'db_error',
+    message: updated ? null : 'Could not write the new URL'
+  };
 }
 
 async function testFacebookVideo(videoId) {
-  const result = await getFacebookVideoUrl(videoId);
+  const options = { assets: getAssetKinds() };
+  const result = await getFacebookVideoUrl(videoId, options);
+  if (result.error === 'permission_denied' && getPagePool().length > 0) {
+    return resolveWithPageTokens(videoId, options);
+  }
   return result;
 }
 
-module.exports = { processUrlUpdates, getQueueStatus, testFacebookVideo };
+module.exports = {
+  processUrlUpdates,
+  startUpdate,
+  stopActiveRun,
+  isUpdateRunning,
+  getQueueStatus,
+  testFacebookVideo,
+  checkVideo,
+  refreshRow,
+  findVideos,
+  checkFacebookTokens,
+  rollbackRun,
+  rollbackRow
+};
@@ -0,0 +1,117 @@
+const axios = require('axios');
+
+// Checks whether a stored CDN URL still serves video. Outcomes:
+//   valid              answers with video content
+//   expired_signature  the CDN rejects the signed URL (403)
+//   gone               404/410, an empty file, or an HTML/error page instead of video
+//   transient          timeout, network error, 429 or 5xx, still so after retries
+//   unknown            any other answer
+// Only expired_signature and gone are worth a Graph call to refresh.
+const OUTCOMES = ['valid', 'expired_signature', 'gone', 'transient', 'unknown'];
+const REFRESH_OUTCOMES = ['expired_signature', 'gone'];
+
+const TIMEOUT_MS = parseInt(process.env.VALIDATION_TIMEOUT_MS || '5000', 10);
+const MAX_RETRIES = parseInt(process.env.VALIDATION_RETRIES || '2', 10);
+const RETRY_BASE_MS = parseInt(process.env.VALIDATION_RETRY_BASE_MS || '1000', 10);
+
+const TRANSIENT_STATUSES = [408, 425, 429];
+const TRANSIENT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'ERR_CANCELED'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isVideoType(contentType) {
+  return /^video\//i.test(contentType || '');
+}
+
+function result(outcome, method, fields = {}) {
+  return { outcome, method, status: null, contentType: null, reason: null, ...fields };
+}
+
+// Maps one HTTP answer to an outcome, or null when HEAD can't tell and the
+// ranged GET should decide
+function classifyResponse(response, method) {
+  const status = response.status;
+  const contentType = response.headers ? response.headers['content-type'] || null : null;
+  const fields = { status, contentType };
+
+  if (status === 200 || status === 206) {
+    if (isVideoType(contentType)) return result('valid', method, fields);
+    if (!contentType && method === 'head') return null;
+    // Error pages are often served with a 200 after a redirect
+    return result('gone', method, { ...fields, reason: `served ${contentType || 'no content type'} instead of video` });
+  }
+  if (method === 'head' && (status === 405 || status === 501)) return null;
+  if (status === 403) return result('expired_signature', method, { ...fields, reason: 'signature rejected' });
+  if (status === 404 || status === 410 || status === 416) return result('gone', method, fields);
+  if (TRANSIENT_STATUSES.includes(status) || status >= 500) return result('transient', method, fields);
+  return result('unknown', method, fields);
+}
+
+async function request(method, url) {
+  const config = {
+    timeout: TIMEOUT_MS,
+    maxRedirects: 5,
+    validateStatus: () => true
+  };
+
+  if (method === 'head') {
+    return axios.head(url, config);
+  }
+
+  // One byte is enough to see the status and content type. Streamed, so a
+  // server that ignores Range doesn't make us download the whole video.
+  const response = await axios.get(url, { ...config, headers: { Range: 'bytes=0-0' }, responseType: 'stream' });
+  if (response.data && typeof response.data.destroy === 'function') {
+    response.data.destroy();
+  }
+  return response;
+}
+
+async function attempt(url) {
+  for (const method of ['head', 'get']) {
+    try {
+      const classified = classifyResponse(await request(method, url), method);
+      if (classified) return classified;
+    } catch (error) {
+      if (TRANSIENT_ERROR_CODES.includes(error.code)) {
+        return result('transient', method, { reason: error.code });
+      }
+      return result('unknown', method, { reason: error.message });
+    }
+  }
+  return result('unknown', 'get', { reason: 'no usable answer to HEAD or ranged GET' });
+}
+
+// Resolves to { outcome, method, status, contentType, reason, attempts,
+// durationMs }. Transient outcomes are rechecked with exponential backoff.
+async function validateUrl(url) {
+  const startedAt = Date.now();
+
+  if (!url || url === 'NULL') {
+    return { ...result('gone', null, { reason: 'no URL' }), attempts: 0, durationMs: 0 };
+  }
+  try {
+    new URL(url);
+  } catch (error) {
+    return { ...result('gone', null, { reason: 'malformed URL' }), attempts: 0, durationMs: 0 };
+  }
+
+  let attempts = 0;
+  let checked;
+  for (;;) {
+    checked = await attempt(url);
+    attempts++;
+    if (checked.outcome !== 'transient' || attempts > MAX_RETRIES) break;
+    await sleep(RETRY_BASE_MS * Math.pow(2, attempts - 1));
+  }
+
+  return { ...checked, attempts, durationMs: Date.now() - startedAt };
+}
+
+function needsRefresh(check) {
+  return REFRESH_OUTCOMES.includes(check.outcome);
+}
+
+module.exports = { validateUrl, needsRefresh, OUTCOMES, REFRESH_OUTCOMES };
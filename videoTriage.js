@@ -0,0 +1,230 @@
+const storage = require('./storage');
+const { getTable } = require('./tableConfig');
+const { createLogger } = require('./logger');
+
+const log = createLogger('triage');
+
+// Rows whose video keeps failing for good. After FAILURE_THRESHOLD
+// consecutive permanent failures a row is marked unavailable and scans skip
+// it until an admin re-enables it or gives it a new video ID.
+const TRIAGE_TABLE = 'video_triage';
+const FAILURE_THRESHOLD = parseInt(process.env.TRIAGE_FAILURE_THRESHOLD || '3', 10);
+const PERMANENT_ERRORS = ['not_found', 'permission_denied'];
+
+const STATUSES = ['failing', 'unavailable', 'ok'];
+
+function byRow(tableName, rowId) {
+  return [
+    { column: 'table_name', op: 'eq', value: tableName },
+    { column: 'row_id', op: 'eq', value: String(rowId) }
+  ];
+}
+
+async function findEntry(tableName, rowId) {
+  const rows = await storage.select(TRIAGE_TABLE, { where: byRow(tableName, rowId), limit: 1 });
+  return rows[0] || null;
+}
+
+// Mirrors the triage state into the content table when it has a statusColumn,
+// so the app can stop serving the dead URL
+async function setStatusColumn(tableName, rowId, unavailable) {
+  const table = getTable(tableName);
+  if (!table || !table.statusColumn) return;
+
+  const value = unavailable ? table.unavailableValue : table.availableValue;
+  try {
+    await storage.update(table.name, [{ column: table.idColumn, op: 'eq', value: rowId }], { [table.statusColumn]: value });
+  } catch (error) {
+    log.error('Error updating status column', { table: tableName, rowId, column: table.statusColumn, error: error.message });
+  }
+}
+
+// Failing and unavailable entries of a table by row ID, loaded once per scan
+async function getEntries(tableName) {
+  const entries = new Map();
+  try {
+    const rows = await storage.select(TRIAGE_TABLE, {
+      where: [
+        { column: 'table_name', op: 'eq', value: tableName },
+        { column: 'status', op: 'in', value: ['failing', 'unavailable'] }
+      ]
+    });
+    rows.forEach(row => entries.set(String(row.row_id), row));
+  } catch (error) {
+    // Without triage data nothing is skipped, which is the old behaviour
+    log.error('Error loading triage entries', { table: tableName, error: error.message });
+  }
+  return entries;
+}
+
+function isPermanentFailure(errorType) {
+  return PERMANENT_ERRORS.includes(errorType);
+}
+
+// Counts one permanent failure of a row. entry is the row's current triage
+// entry when the caller already has it; undefined looks it up, which a Map
+// from getEntries gives for rows without a failing or unavailable entry
+// (their 'ok' entry must still be updated, not inserted again). Returns true
+// when this failure made the row unavailable.
+async function recordPermanentFailure(video, errorType, errorMsg, entry) {
+  if (!isPermanentFailure(errorType)) return false;
+
+  try {
+    const current = entry === undefined ? await findEntry(video.table, video.rowId) : entry;
+    if (current && current.status === 'unavailable') return false;
+
+    // A new video ID means someone fixed the row in between, so start over
+    const sameVideo = current && current.status === 'failing' && String(current.facebook_video_id) === String(video.videoId);
+    const failures = (sameVideo ? current.consecutive_failures || 0 : 0) + 1;
+    const unavailable = failures >= FAILURE_THRESHOLD;
+    const now = new Date().toISOString();
+
+    const fields = {
+      facebook_video_id: String(video.videoId),
+      video_title: video.title || null,
+      status: unavailable ? 'unavailable' : 'failing',
+      consecutive_failures: failures,
+      last_error: errorType,
+      last_error_message: errorMsg || null,
+      first_failed_at: sameVideo ? current.first_failed_at : now,
+      last_failed_at: now,
+      unavailable_at: unavailable ? now : null
+    };
+
+    if (current) {
+      await storage.update(TRIAGE_TABLE, byRow(video.table, video.rowId), fields);
+    } else {
+      await storage.insert(TRIAGE_TABLE, { table_name: video.table, row_id: String(video.rowId), ...fields });
+    }
+
+    if (unavailable) {
+      await setStatusColumn(video.table, video.rowId, true);
+      log.warn('Marked unavailable', {
+        table: video.table,
+        rowId: video.rowId,
+        videoId: video.videoId,
+        title: video.title,
+        failures,
+        reason: errorType
+      });
+    }
+    return unavailable;
+  } catch (error) {
+    log.error('Error recording permanent failure', { table: video.table, rowId: video.rowId, error: error.message });
+    return false;
+  }
+}
+
+// A working video ends its failure streak. With an entry map from getEntries
+// only rows that have one cost a write; without it the entry is looked up.
+async function recordSuccess(tableName, rowId, entries = null) {
+  try {
+    const entry = entries ? entries.get(String(rowId)) || null : await findEntry(tableName, rowId);
+    if (!entry || entry.status === 'ok') return;
+
+    await storage.update(TRIAGE_TABLE, byRow(tableName, rowId), {
+      status: 'ok',
+      consecutive_failures: 0,
+      unavailable_at: null
+    });
+    if (entry.status === 'unavailable') {
+      await setStatusColumn(tableName, rowId, false);
+    }
+  } catch (error) {
+    log.error('Error clearing failure streak', { table: tableName, rowId, error: error.message });
+  }
+}
+
+// The review list, most recently flagged first
+async function listEntries({ status = 'unavailable', tableName = null, limit = 50 } = {}) {
+  if (!STATUSES.includes(status)) {
+    throw new Error(`status must be one of ${STATUSES.join(', ')}`);
+  }
+
+  const where = [{ column: 'status', op: 'eq', value: status }];
+  if (tableName) where.push({ column: 'table_name', op: 'eq', value: tableName });
+
+  return storage.select(TRIAGE_TABLE, {
+    where,
+    orderBy: [{ column: status === 'unavailable' ? 'unavailable_at' : 'last_failed_at', ascending: false }],
+    limit: Math.min(limit, 500)
+  });
+}
+
+async function requireEntry(tableName, rowId) {
+  if (!getTable(tableName)) throw new Error(`Unknown table: ${tableName}`);
+
+  const entry = await findEntry(tableName, rowId);
+  if (!entry || entry.status !== 'unavailable') {
+    throw new Error(`${tableName} #${rowId} is not marked unavailable`);
+  }
+  return entry;
+}
+
+async function markReviewed(tableName, rowId, reviewedBy) {
+  await storage.update(TRIAGE_TABLE, byRow(tableName, rowId), {
+    status: 'ok',
+    consecutive_failures: 0,
+    unavailable_at: null,
+    reviewed_at: new Date().toISOString(),
+    reviewed_by: reviewedBy
+  });
+  await setStatusColumn(tableName, rowId, false);
+}
+
+// Puts the row back into scans as it is, e.g. after a permission fix
+async function reenable(tableName, rowId, reviewedBy = null) {
+  const entry = await requireEntry(tableName, rowId);
+  await markReviewed(tableName, rowId, reviewedBy);
+
+  log.info('Re-enabled', { table: tableName, rowId, videoId: entry.facebook_video_id, reviewedBy });
+  return { table: tableName, rowId, videoId: entry.facebook_video_id, title: entry.video_title };
+}
+
+// Stores a replacement Facebook video ID and refreshes the row right away.
+// If the refresh can't run now (another update is running) the row is
+// still re-enabled and the next run picks it up.
+async function replaceVideo(tableName, rowId, videoId, reviewedBy = null) {
+  const entry = await requireEntry(tableName, rowId);
+  const newVideoId = String(videoId || '').trim();
+  if (!/^\d+$/.test(newVideoId)) {
+    throw new Error('The replacement video ID must be numeric');
+  }
+
+  const table = getTable(tableName);
+  await storage.update(table.name, [{ column: table.idColumn, op: 'eq', value: rowId }], {
+    [table.videoIdColumn]: newVideoId
+  });
+  await markReviewed(tableName, rowId, reviewedBy);
+
+  log.info('Video replaced', { table: tableName, rowId, oldVideoId: entry.facebook_video_id, videoId: newVideoId, reviewedBy });
+
+  const { refreshRow } = require('./urlUpdater');
+  let refresh;
+  try {
+    refresh = await refreshRow(tableName, rowId);
+  } catch (error) {
+    refresh = { success: false, error: 'not_refreshed', message: error.message };
+  }
+
+  return {
+    table: tableName,
+    rowId,
+    title: entry.video_title,
+    oldVideoId: entry.facebook_video_id,
+    videoId: newVideoId,
+    refresh
+  };
+}
+
+module.exports = {
+  getEntries,
+  isPermanentFailure,
+  recordPermanentFailure,
+  recordSuccess,
+  listEntries,
+  reenable,
+  replaceVideo,
+  FAILURE_THRESHOLD,
+  STATUSES
+};